@@ -3,14 +3,74 @@
  * Manages extension state, sidepanel, and API coordination
  */
 
+import { createSseParser } from './sse.js';
+import { mergeMessageTrees, toMessageTree } from '../sidepanel/conversation.js';
+
 // Default configuration
 const CONFIG = {
     DEFAULT_API_URL: 'http://localhost:3000',
     MAX_STORED_PAGES: 50,
     RETRY_ATTEMPTS: 3,
     RETRY_DELAY: 1000,
+    // Partial answers are saved at most this often (ms); saving also keeps the worker alive
+    STREAM_SAVE_INTERVAL: 500,
 };
 
+// Extractor files, injected on demand after content/sites.js and content/stub.js (the manifest content scripts)
+const EXTRACTOR_FILES = [
+    'content/rules.js',
+    'content/metadata.js',
+    'content/tables.js',
+    'content/markdown.js',
+    'content/media.js',
+    'content/safety.js',
+    'content/debug.js',
+    'content/redaction.js',
+    'content/selection.js',
+    'content/citations.js',
+    'content/bubble.js',
+    'content/content.js',
+];
+
+// Injections in progress, by tab id, so concurrent requests share one
+const extractorInjections = new Map();
+
+// Port the ask bubble streams answers over; must match ASK_BUBBLE_PORT in content/bubble.js
+const ASK_BUBBLE_PORT = 'little-elf-ask-bubble';
+
+// Port sidepanels receive chat answers over; must match CHAT_PORT in sidepanel/sidepanel.js
+const CHAT_PORT = 'little-elf-chat';
+
+// Answers in progress, by session hash, and the sidepanels listening for them
+const chatStreams = new Map();
+const chatPorts = new Set();
+
+// Last queued write to each session's saved chat, by session hash
+const messageWrites = new Map();
+
+// Right-click entries under "Little Elf"; each id is the action the sidepanel runs
+const CONTEXT_MENU_ITEMS = [
+    { id: 'explain-selection', title: 'Explain “%s”', contexts: ['selection'] },
+    { id: 'summarize-selection', title: 'Summarize selection', contexts: ['selection'] },
+    { id: 'translate-selection', title: 'Translate selection', contexts: ['selection'] },
+    { id: 'ask-selection', title: 'Ask about this…', contexts: ['selection'] },
+    { id: 'summarize-link', title: 'Summarize linked page', contexts: ['link'] },
+    { id: 'describe-image', title: 'Describe image', contexts: ['image'] },
+];
+
+// Same prompts as the sidepanel's quick actions, offered first in the address bar
+const QUICK_PROMPTS = [
+    'What is this page about?',
+    'What are the main points of this page?',
+    'Explain this page simply',
+];
+
+// Most suggestions the address bar shows for "elf"
+const MAX_OMNIBOX_SUGGESTIONS = 6;
+
+// Active tab and its chat's storage key, looked up once when typing after "elf" starts
+let omniboxSession = null;
+
 // Extension state
 let extensionState = {
     enabled: true,
@@ -38,6 +98,206 @@ chrome.runtime.onInstalled.addListener(async (details) => {
             enabled: true,
         });
     }
+
+    createContextMenus();
+});
+
+/**
+ * Register the right-click menu; menus persist, so this runs on install and update only
+ */
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: 'little-elf',
+            title: 'Little Elf',
+            contexts: ['selection', 'link', 'image'],
+        });
+
+        CONTEXT_MENU_ITEMS.forEach((item) => {
+            chrome.contextMenus.create({ ...item, parentId: 'little-elf' });
+        });
+    });
+}
+
+/**
+ * Handle context menu clicks - open the sidepanel with the target as focused context
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab?.id || !CONTEXT_MENU_ITEMS.some(item => item.id === info.menuItemId)) return;
+
+    // Opened before anything is awaited, while the click still counts as a user gesture
+    chrome.sidePanel?.open({ tabId: tab.id }).catch((error) => {
+        console.error('[Little Elf] Failed to open sidepanel:', error);
+    });
+
+    // The sidepanel picks this up once it is ready for the tab
+    chrome.storage.local.set({
+        pendingContextAction: {
+            action: info.menuItemId,
+            tabId: tab.id,
+            pageUrl: info.pageUrl || tab.url || '',
+            selectionText: info.selectionText || '',
+            linkUrl: info.linkUrl || '',
+            srcUrl: info.srcUrl || '',
+            createdAt: Date.now(),
+        },
+    });
+});
+
+/**
+ * Hash a session URL the way the sidepanel keys its storage
+ */
+function hashString(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash;
+    }
+    return hash.toString(36);
+}
+
+/**
+ * Get the URL a tab's chat session is keyed by: its canonical URL when the page declares one
+ *
+ * The stub answers on every page, so nothing is injected to find out.
+ */
+async function getSessionUrl(tab) {
+    try {
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_CANONICAL_URL' });
+        return response?.canonicalUrl || tab.url;
+    } catch {
+        return tab.url;
+    }
+}
+
+/**
+ * Escape text for omnibox suggestion markup
+ */
+function escapeOmniboxText(text) {
+    return text.replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&apos;',
+    })[char]);
+}
+
+/**
+ * Look up the active tab and its chat's storage key for one round of typing after "elf"
+ * @returns {{tab: ?chrome.tabs.Tab, messagesKey: ?string, ready: Promise<Object>}} Filled in once
+ *     ready resolves; tab is set as soon as it is known
+ */
+function startOmniboxSession() {
+    const session = { tab: null, messagesKey: null, ready: null };
+
+    session.ready = (async () => {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        session.tab = tab || null;
+        if (tab?.url && /^(https?|file):/.test(tab.url)) {
+            session.messagesKey = `messages_${hashString(await getSessionUrl(tab))}`;
+        }
+        return session;
+    })();
+
+    return session;
+}
+
+/**
+ * Get the questions already asked in a chat, most recent first
+ * @param {?string} messagesKey - Storage key of the chat's messages
+ */
+async function getRecentQuestions(messagesKey) {
+    if (!messagesKey) return [];
+
+    const result = await chrome.storage.local.get([messagesKey]);
+
+    const questions = toMessageTree(result[messagesKey]).nodes
+        .filter(message => message.role === 'user')
+        // Questions about a focused passage are shown after a 'Label: “excerpt”' line
+        .map(message => message.content.replace(/^[^\n:]+: “[\s\S]*?”\n\n/, '').trim())
+        .filter(Boolean)
+        .reverse();
+
+    return [...new Set(questions)];
+}
+
+chrome.omnibox.setDefaultSuggestion({
+    description: 'Ask Little Elf about this page: %s',
+});
+
+chrome.omnibox.onInputStarted.addListener(() => {
+    omniboxSession = startOmniboxSession();
+});
+
+chrome.omnibox.onInputCancelled.addListener(() => {
+    omniboxSession = null;
+});
+
+/**
+ * Suggest quick-action prompts and this page's recent questions as the user types after "elf"
+ */
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+    try {
+        const query = text.trim().toLowerCase();
+        omniboxSession ??= startOmniboxSession();
+        const { messagesKey } = await omniboxSession.ready;
+        const recent = await getRecentQuestions(messagesKey);
+        const candidates = [
+            ...recent.map(question => ({ question, source: 'asked before' })),
+            ...QUICK_PROMPTS.map(question => ({ question, source: 'quick action' })),
+        ];
+
+        const seen = new Set();
+        const suggestions = candidates
+            .filter(({ question }) => {
+                const key = question.toLowerCase();
+                if (seen.has(key) || key === query || !key.includes(query)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, MAX_OMNIBOX_SUGGESTIONS)
+            .map(({ question, source }) => ({
+                content: question,
+                description: `${escapeOmniboxText(question)} <dim>- ${source}</dim>`,
+            }));
+
+        suggest(suggestions);
+    } catch (error) {
+        console.error('[Little Elf] Error building omnibox suggestions:', error);
+    }
+});
+
+/**
+ * Send an address bar question to the active tab's chat
+ */
+chrome.omnibox.onInputEntered.addListener(async (text) => {
+    const question = text.trim();
+    const session = omniboxSession ?? startOmniboxSession();
+    omniboxSession = null;
+
+    // Opened before anything is awaited when the tab is already known, while pressing Enter
+    // still counts as a user gesture
+    const tab = session.tab ?? (await session.ready).tab;
+    if (!tab?.id) return;
+
+    chrome.sidePanel?.open({ tabId: tab.id }).catch((error) => {
+        console.error('[Little Elf] Failed to open sidepanel:', error);
+    });
+
+    if (!question) return;
+
+    // The sidepanel sends it through the page's session once it is ready for the tab
+    chrome.storage.local.set({
+        pendingContextAction: {
+            action: 'ask-question',
+            tabId: tab.id,
+            pageUrl: tab.url || '',
+            question,
+            createdAt: Date.now(),
+        },
+    });
 });
 
 /**
@@ -76,7 +336,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             break;
 
         case 'CONTENT_UPDATED':
-            handleContentUpdated(sender.tab);
+            handleContentUpdated(message, sender.tab);
             sendResponse({ success: true });
             break;
 
@@ -93,6 +353,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             triggerExtraction(message.tabId).then(sendResponse);
             return true;
 
+        case 'LOAD_EXTRACTOR':
+            ensureExtractor(message.tabId ?? sender.tab?.id).then(() => {
+                sendResponse({ success: true });
+            }).catch((error) => {
+                console.error('[Little Elf] Failed to load extractor:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+            return true;
+
         case 'GET_API_URL':
             chrome.storage.local.get(['apiUrl']).then((result) => {
                 sendResponse({ apiUrl: result.apiUrl || CONFIG.DEFAULT_API_URL });
@@ -104,6 +373,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             sendResponse({ success: true });
             break;
 
+        case 'SAVE_MESSAGES':
+            // Answers saved since the sidepanel last loaded the chat are kept
+            updateSessionMessages(hashString(message.sessionUrl), stored => (
+                message.conversation && mergeMessageTrees(stored, message.conversation)
+            )).then(() => {
+                sendResponse({ success: true });
+            }).catch((error) => {
+                console.error('[Little Elf] Failed to save messages:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+            return true;
+
+        case 'CONTINUE_IN_SIDEPANEL':
+            continueInSidepanel(message.exchange, sender.tab);
+            sendResponse({ success: true });
+            break;
+
         case 'OPEN_SIDEPANEL':
             if (chrome.sidePanel && message.tabId) {
                 chrome.sidePanel.open({ tabId: message.tabId }).catch(console.error);
@@ -129,9 +415,20 @@ async function handleContentExtracted(data, tab) {
         const result = await chrome.storage.local.get(['extractedContent']);
         const content = result.extractedContent || {};
 
-        // Store by URL
+        // Store by URL. Only what the popup shows is cached locally; the
+        // sidepanel re-extracts the full page when it uploads it.
+        const metadata = data.metadata || {};
         content[data.url] = {
-            ...data,
+            url: data.url,
+            title: data.title,
+            contentLength: data.contentLength,
+            headingCount: (data.headings || []).length,
+            metadata: {
+                canonicalUrl: metadata.canonicalUrl,
+                language: metadata.language,
+                author: metadata.author,
+                publishedAt: metadata.publishedAt,
+            },
             tabId: tab?.id,
             extractedAt: new Date().toISOString(),
         };
@@ -161,11 +458,24 @@ async function handleContentExtracted(data, tab) {
 }
 
 /**
- * Handle content update notification
+ * Handle re-extracted content after an SPA route change or a content change
  */
-function handleContentUpdated(tab) {
-    // Could notify sidepanel to refresh if needed
-    console.log('[Little Elf] Content updated on tab:', tab?.id);
+async function handleContentUpdated(message, tab) {
+    if (!message.data) return;
+
+    await handleContentExtracted(message.data, tab);
+
+    // Let an open sidepanel offer to refresh its context
+    chrome.runtime.sendMessage({
+        type: 'PAGE_CONTENT_CHANGED',
+        tabId: tab?.id,
+        reason: message.reason,
+        previousUrl: message.previousUrl,
+        url: message.data.url,
+        title: message.data.title,
+    }).catch(() => { });
+
+    console.log('[Little Elf] Content updated on tab:', tab?.id, message.reason);
 }
 
 /**
@@ -191,18 +501,484 @@ async function handleApiUrlChange(apiUrl) {
 }
 
 /**
- * Trigger content extraction on a tab
+ * Open the sidepanel on a tab and have it add an ask bubble exchange to the page's chat
  */
-async function triggerExtraction(tabId) {
+function continueInSidepanel(exchange, tab) {
+    if (!tab?.id || !exchange) return;
+
+    // Opened before anything is awaited, while the click in the page still counts as a user gesture
+    chrome.sidePanel?.open({ tabId: tab.id }).catch((error) => {
+        console.error('[Little Elf] Failed to open sidepanel:', error);
+    });
+
+    chrome.storage.local.set({
+        pendingContextAction: {
+            action: 'continue-bubble',
+            tabId: tab.id,
+            pageUrl: tab.url || '',
+            exchange,
+            createdAt: Date.now(),
+        },
+    });
+}
+
+/**
+ * Call the backend with the saved API URL and key
+ * @param {string} endpoint - API path
+ * @param {Object} body - JSON body
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @param {Object} [extraHeaders] - Additional request headers
+ * @returns {Promise<Response>} Successful response
+ */
+async function backendFetch(endpoint, body, signal, extraHeaders = {}) {
+    const { apiUrl, openaiKey } = await chrome.storage.local.get(['apiUrl', 'openaiKey']);
+
+    const headers = {
+        'Content-Type': 'application/json',
+        ...extraHeaders,
+    };
+    if (openaiKey) {
+        headers['X-OpenAI-Key'] = openaiKey;
+    }
+
+    const response = await fetch(`${apiUrl || CONFIG.DEFAULT_API_URL}${endpoint}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal,
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error?.message || errorData.error || `API error: ${response.status}`);
+    }
+
+    return response;
+}
+
+/**
+ * Get the thread an ask bubble question goes to
+ *
+ * Every question gets a thread of its own, so it never mixes with the sidepanel's
+ * conversation or its streams. Pages with a sidepanel session share its content,
+ * where the backend has the whole page; other pages get new content made of the
+ * passage's section.
+ *
+ * @param {Object} request - sessionUrl, and the page with its url, title and redacted content
+ * @returns {Promise<Object>} contentId and threadId
+ */
+async function getBubbleThread({ sessionUrl, page }) {
+    const sessionKey = `session_${hashString(sessionUrl || page.url)}`;
+    const { [sessionKey]: session } = await chrome.storage.local.get([sessionKey]);
+
+    const contentId = session?.contentId ||
+        (await (await backendFetch('/api/content/store', page)).json()).contentId;
+    const assistant = await (await backendFetch('/api/assistant/create', { contentId })).json();
+    return { contentId, threadId: assistant.threadId };
+}
+
+/**
+ * Read a citation event
+ *
+ * Accepts {type: "citation", text, quote} as well as OpenAI's annotation objects
+ * forwarded as they are, {type: "annotation", annotation: {text, file_citation: {quote}}}.
+ *
+ * @param {Object} payload - Event data
+ * @returns {{marker: string, quote: string}|null} The text the answer marks the citation
+ *     with, e.g. "【4:0†source】", and the cited passage; null if it cites nothing
+ */
+function toCitation(payload) {
+    const annotation = payload.annotation || payload;
+    const marker = annotation.text || annotation.marker || '';
+    const quote = annotation.quote || annotation.file_citation?.quote || annotation.content || '';
+    return marker || quote ? { marker, quote } : null;
+}
+
+/**
+ * Send a message to a thread and read the streamed answer
+ *
+ * Events carry JSON such as {type: "text", content}; other data, like [DONE] or
+ * keep-alives, is ignored. When the backend tags events with IDs and says it can
+ * resume (X-Stream-Resumable: true), a dropped connection is reopened with
+ * Last-Event-ID and without the message, so the question isn't asked twice.
+ * Otherwise the end of the stream ends the answer.
+ *
+ * @param {Object} body - threadId, message and contentId
+ * @param {AbortSignal} signal - Cancels the stream
+ * @param {Function} onText - Called with each text delta
+ * @param {Function} [onCitation] - Called with {marker, quote} for each file_search citation
+ */
+async function streamChat(body, signal, onText, onCitation = () => { }) {
+    let finished = false;
+    let failure = null;
+    let retryDelay = CONFIG.RETRY_DELAY;
+
+    const parser = createSseParser((event) => {
+        if (finished) return;
+
+        let payload;
+        try {
+            payload = JSON.parse(event.data);
+        } catch {
+            return;
+        }
+        if (!payload || typeof payload !== 'object') return;
+
+        const type = payload.type || event.type;
+        if (type === 'text') {
+            onText(payload.content || '');
+        } else if (type === 'citation' || type === 'annotation') {
+            const citation = toCitation(payload);
+            if (citation) onCitation(citation);
+        } else if (type === 'done') {
+            finished = true;
+        } else if (type === 'error') {
+            failure = new Error(payload.content || payload.error || 'The answer failed');
+            finished = true;
+        }
+    }, (delay) => {
+        retryDelay = delay;
+    });
+
+    // Set once the backend says it can continue a stream from an event ID
+    let resumable = false;
+    const canResume = () => resumable && Boolean(parser.lastEventId());
+    const resumeBody = { threadId: body.threadId, contentId: body.contentId };
+
+    for (let attempt = 0; ; attempt++) {
+        const lastEventId = parser.lastEventId();
+
+        try {
+            const response = lastEventId ?
+                await backendFetch('/api/chat/stream', resumeBody, signal, { 'Last-Event-ID': lastEventId }) :
+                await backendFetch('/api/chat/stream', body, signal);
+            resumable = resumable || response.headers.get('X-Stream-Resumable') === 'true';
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+
+            while (!finished) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                parser.push(decoder.decode(value, { stream: true }));
+            }
+
+            if (finished) {
+                reader.cancel().catch(() => { });
+            } else {
+                parser.push(decoder.decode());
+            }
+        } catch (error) {
+            if (signal.aborted || !canResume() || attempt >= CONFIG.RETRY_ATTEMPTS) throw error;
+            console.warn('[Little Elf] Stream dropped, resuming:', error.message);
+        }
+
+        // Half-received events are dropped; a resumed stream sends them again
+        parser.end();
+
+        if (failure) throw failure;
+        if (finished || !canResume()) return;
+        if (attempt >= CONFIG.RETRY_ATTEMPTS) throw new Error('The answer was cut off');
+
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+}
+
+/**
+ * Answer an ask bubble question, relaying the stream to the page
+ * @param {chrome.runtime.Port} port - Port from content/bubble.js
+ * @param {Object} request - Session URL, redacted page and message
+ */
+async function answerBubbleQuestion(port, request) {
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    try {
+        const { contentId, threadId } = await getBubbleThread(request);
+        await streamChat({ threadId, message: request.message, contentId }, controller.signal, (content) => {
+            port.postMessage({ type: 'TEXT', content });
+        });
+
+        port.postMessage({ type: 'DONE' });
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('[Little Elf] Ask bubble answer failed:', error);
+        port.postMessage({ type: 'ERROR', error: error.message });
+    }
+}
+
+/**
+ * Tell every open sidepanel about a chat stream; each one shows only its own session's
+ */
+function broadcastChatEvent(event) {
+    chatPorts.forEach(port => port.postMessage(event));
+}
+
+/**
+ * Change a session's saved chat
+ *
+ * Only the background writes messages_ keys: it saves answers as they finish, and
+ * sidepanels send it their changes. Writes to one chat are queued, so none of them
+ * starts from a copy that another is about to replace.
+ *
+ * @param {string} hash - Session hash
+ * @param {Function} update - Called with the saved tree; returns the tree to save, or null to delete it
+ * @returns {Promise<void>} Settles once this write is done
+ */
+function updateSessionMessages(hash, update) {
+    const messagesKey = `messages_${hash}`;
+    const write = (messageWrites.get(hash) || Promise.resolve()).then(async () => {
+        const result = await chrome.storage.local.get([messagesKey]);
+        const tree = update(toMessageTree(result[messagesKey]));
+        if (tree) {
+            await chrome.storage.local.set({ [messagesKey]: tree });
+        } else {
+            await chrome.storage.local.remove([messagesKey]);
+        }
+    });
+
+    // A failed write is reported to its caller and must not hold up the next one
+    const queued = write.catch(() => { });
+    messageWrites.set(hash, queued);
+    queued.then(() => {
+        if (messageWrites.get(hash) === queued) messageWrites.delete(hash);
+    });
+
+    return write;
+}
+
+/**
+ * Add a reply to a session's saved chat, after the message it answers
+ *
+ * The reply's branch becomes the one on screen unless the user switched away from it meanwhile.
+ */
+function appendSessionMessage(hash, message) {
+    return updateSessionMessages(hash, (tree) => {
+        const parentId = message.parentId === undefined ? tree.activeId : message.parentId;
+        const node = { ...message, id: crypto.randomUUID(), parentId, timestamp: new Date().toISOString() };
+        tree.nodes.push(node);
+        if (tree.activeId === parentId) {
+            tree.activeId = node.id;
+        }
+        return tree;
+    });
+}
+
+/**
+ * Save the answer so far, so a sidepanel opened later can pick it up
+ */
+function scheduleStreamSave(stream) {
+    if (stream.saveTimer) return;
+
+    stream.saveTimer = setTimeout(() => {
+        stream.saveTimer = null;
+        chrome.storage.local.set({
+            [`stream_${stream.hash}`]: {
+                sessionUrl: stream.sessionUrl,
+                parentId: stream.parentId,
+                threadId: stream.threadId,
+                answer: stream.answer,
+                citations: stream.citations,
+                startedAt: stream.startedAt,
+            },
+        });
+    }, CONFIG.STREAM_SAVE_INTERVAL);
+}
+
+/**
+ * Stream an answer for a session, independent of any sidepanel
+ *
+ * The answer is saved with the session's messages when it completes, so it is kept
+ * even if every sidepanel was closed or moved to another tab in the meantime.
+ *
+ * @param {Object} request - sessionUrl, threadId, contentId and the redacted message
+ */
+async function startChatStream(request) {
+    await streamsRecovered;
+
+    const hash = hashString(request.sessionUrl);
+    if (chatStreams.has(hash)) {
+        broadcastChatEvent({ type: 'ERROR', sessionUrl: request.sessionUrl, error: 'An answer is already in progress' });
+        return;
+    }
+
+    const stream = {
+        hash,
+        sessionUrl: request.sessionUrl,
+        parentId: request.parentId,
+        threadId: request.threadId,
+        answer: '',
+        citations: [],
+        startedAt: new Date().toISOString(),
+        controller: new AbortController(),
+        saveTimer: null,
+    };
+    chatStreams.set(hash, stream);
+
+    // Saved after the question it answers, in the backend thread that branch uses
+    const reply = (role, content) => ({
+        role,
+        content,
+        parentId: stream.parentId,
+        threadId: stream.threadId,
+        ...(role === 'assistant' && stream.citations.length && { citations: stream.citations }),
+    });
+    const textEvent = type => ({ type, sessionUrl: stream.sessionUrl, answer: stream.answer, citations: stream.citations });
+
     try {
-        // Inject content script if not already injected
+        await streamChat({
+            threadId: request.threadId,
+            message: request.message,
+            contentId: request.contentId,
+        }, stream.controller.signal, (content) => {
+            stream.answer += content;
+            broadcastChatEvent(textEvent('TEXT'));
+            scheduleStreamSave(stream);
+        }, (citation) => {
+            // A marker the answer repeats refers to the same passage
+            if (citation.marker && stream.citations.some(known => known.marker === citation.marker)) return;
+            stream.citations.push(citation);
+            broadcastChatEvent(textEvent('TEXT'));
+            scheduleStreamSave(stream);
+        });
+
+        await appendSessionMessage(hash, reply('assistant', stream.answer));
+        broadcastChatEvent(textEvent('DONE'));
+    } catch (error) {
+        if (stream.controller.signal.aborted) {
+            // Stopped from a sidepanel: keep what arrived
+            stream.answer = `${stream.answer}\n\n*(Stopped)*`.trim();
+            await appendSessionMessage(hash, reply('assistant', stream.answer));
+            broadcastChatEvent(textEvent('DONE'));
+            return;
+        }
+
+        console.error('[Little Elf] Stream error:', error);
+        await appendSessionMessage(hash, reply('error', `Error: ${error.message}`));
+        broadcastChatEvent({ type: 'ERROR', sessionUrl: stream.sessionUrl, error: error.message });
+    } finally {
+        clearTimeout(stream.saveTimer);
+        chatStreams.delete(hash);
+        await chrome.storage.local.remove([`stream_${hash}`]);
+    }
+}
+
+/**
+ * Replay an answer in progress to a sidepanel that just opened a session
+ */
+async function attachChatStream(port, sessionUrl) {
+    await streamsRecovered;
+
+    const stream = chatStreams.get(hashString(sessionUrl));
+    port.postMessage(stream ?
+        { type: 'TEXT', sessionUrl, answer: stream.answer, citations: stream.citations } :
+        { type: 'IDLE', sessionUrl });
+}
+
+/**
+ * Keep the partial answers of streams cut off when the worker stopped
+ */
+async function recoverInterruptedStreams() {
+    try {
+        const stored = await chrome.storage.local.get(null);
+        const interrupted = Object.keys(stored).filter(key => key.startsWith('stream_'));
+
+        for (const key of interrupted) {
+            const hash = key.slice('stream_'.length);
+            const { answer, parentId, threadId, citations } = stored[key];
+            if (answer) {
+                await appendSessionMessage(hash, {
+                    role: 'assistant',
+                    content: `${answer}\n\n*(Answer interrupted)*`,
+                    parentId,
+                    threadId,
+                    ...(citations?.length && { citations }),
+                });
+            }
+            await chrome.storage.local.remove([key]);
+        }
+    } catch (error) {
+        console.error('[Little Elf] Error recovering interrupted answers:', error);
+    }
+}
+
+// Any stream saved in storage when the worker starts was cut off
+const streamsRecovered = recoverInterruptedStreams();
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== CHAT_PORT) return;
+
+    chatPorts.add(port);
+    port.onDisconnect.addListener(() => chatPorts.delete(port));
+
+    port.onMessage.addListener((message) => {
+        if (message.type === 'START') {
+            startChatStream(message).catch((error) => {
+                console.error('[Little Elf] Chat stream failed:', error);
+                if (chatPorts.has(port)) {
+                    port.postMessage({ type: 'ERROR', sessionUrl: message.sessionUrl, error: error.message });
+                }
+            });
+        } else if (message.type === 'ATTACH') {
+            attachChatStream(port, message.sessionUrl);
+        } else if (message.type === 'STOP') {
+            chatStreams.get(hashString(message.sessionUrl))?.controller.abort();
+        }
+    });
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== ASK_BUBBLE_PORT) return;
+
+    port.onMessage.addListener((message) => {
+        if (message.type === 'ASK') {
+            answerBubbleQuestion(port, message);
+        }
+    });
+});
+
+/**
+ * Inject the extractor into a tab unless it is already there
+ *
+ * Content scripts share one global scope per page, so injecting a file twice would
+ * throw on its top-level const and let declarations. Pages opened before the
+ * extension was installed have no stub either, so sites.js and stub.js are added when missing.
+ */
+async function ensureExtractor(tabId) {
+    if (extractorInjections.has(tabId)) {
+        return extractorInjections.get(tabId);
+    }
+
+    const injection = (async () => {
+        const [probe] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: () => ({
+                stub: typeof getCanonicalUrl === 'function',
+                extractor: typeof extractPageData === 'function',
+            }),
+        });
+        const { stub, extractor } = probe?.result || {};
+        if (extractor) return;
+
         await chrome.scripting.executeScript({
             target: { tabId },
-            files: ['content/content.js'],
+            files: stub ? EXTRACTOR_FILES : ['content/sites.js', 'content/stub.js', ...EXTRACTOR_FILES],
         });
+    })();
 
-        // Wait a bit for script to load
-        await new Promise(resolve => setTimeout(resolve, 100));
+    extractorInjections.set(tabId, injection);
+    try {
+        await injection;
+    } finally {
+        extractorInjections.delete(tabId);
+    }
+}
+
+/**
+ * Trigger content extraction on a tab
+ */
+async function triggerExtraction(tabId) {
+    try {
+        await ensureExtractor(tabId);
 
         // Send extraction message
         const response = await chrome.tabs.sendMessage(tabId, { type: 'TRIGGER_EXTRACTION' });
@@ -229,6 +1005,12 @@ function updateBadge(enabled) {
  * Handle tab updates
  */
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    // In-page navigation (history.pushState) changes the URL without a reload;
+    // the content script ignores this if the route did not actually change
+    if (changeInfo.url) {
+        chrome.tabs.sendMessage(tabId, { type: 'CHECK_ROUTE' }).catch(() => { });
+    }
+
     if (changeInfo.status !== 'complete') return;
     if (!tab.url || tab.url.startsWith('chrome://')) return;
 
@@ -236,7 +1018,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     const result = await chrome.storage.local.get(['elfEnabled']);
     if (result.elfEnabled === false) return;
 
-    // Content script will auto-extract, but we can prepare here
+    // The content script stub extracts automatically where the site policy allows it
     extensionState.currentTabId = tabId;
 
     console.log('[Little Elf] Tab updated:', tab.url.substring(0, 50));
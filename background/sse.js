@@ -0,0 +1,92 @@
+/**
+ * Little Elf - Server-Sent Events Parser
+ * Incremental event-stream parser following the HTML Living Standard's interpretation rules
+ */
+
+/**
+ * Create a parser that turns decoded text chunks into events
+ *
+ * Lines may be split anywhere across chunks and end in CRLF, LF or CR. "data" lines
+ * are joined with newlines, "id" sets the last event ID from this event on,
+ * and "retry" sets the reconnection delay. Comment lines (starting with ":") and
+ * unknown fields are ignored.
+ *
+ * @param {Function} onEvent - Called with {type, data, id} for each dispatched event
+ * @param {Function} [onRetry] - Called with a new reconnection delay in ms
+ * @returns {{push: Function, end: Function, lastEventId: Function}} push(text) feeds a chunk,
+ *     end() flushes at end of stream, lastEventId() reads the current last event ID
+ */
+export function createSseParser(onEvent, onRetry = () => { }) {
+    let buffer = '';
+    let pendingCarriageReturn = false;
+    let data = [];
+    let eventType = '';
+    let idBuffer = '';
+    let lastEventId = '';
+
+    const dispatch = () => {
+        // The ID only counts once its event is complete; an event with no data lines still sets it
+        lastEventId = idBuffer;
+        if (data.length > 0) {
+            onEvent({ type: eventType || 'message', data: data.join('\n'), id: lastEventId });
+        }
+        data = [];
+        eventType = '';
+    };
+
+    const processLine = (line) => {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+        if (line.startsWith(':')) return;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        switch (field) {
+            case 'data':
+                data.push(value);
+                break;
+            case 'event':
+                eventType = value;
+                break;
+            case 'id':
+                if (!value.includes('\0')) idBuffer = value;
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) onRetry(Number(value));
+                break;
+        }
+    };
+
+    const push = (text) => {
+        // A CR at the end of the previous chunk already ended its line; skip the LF of a split CRLF
+        if (pendingCarriageReturn && text.startsWith('\n')) {
+            text = text.slice(1);
+        }
+        pendingCarriageReturn = false;
+
+        buffer += text;
+        const lines = buffer.split(/\r\n|\r|\n/);
+        buffer = lines.pop();
+
+        if (buffer === '' && text.endsWith('\r')) {
+            pendingCarriageReturn = true;
+        }
+
+        lines.forEach(processLine);
+    };
+
+    // At end of stream an incomplete event is discarded, as the spec requires
+    const end = () => {
+        buffer = '';
+        idBuffer = lastEventId;
+        data = [];
+        eventType = '';
+    };
+
+    return { push, end, lastEventId: () => lastEventId };
+}
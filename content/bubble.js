@@ -0,0 +1,264 @@
+/**
+ * Little Elf - Ask Bubble
+ * Optional button next to selected text that explains it in a small popover, without opening the chat
+ */
+
+const ASK_BUBBLE_ID = 'little-elf-ask-bubble';
+
+// Port the popover streams its answer over; must match ASK_BUBBLE_PORT in background/background.js
+const ASK_BUBBLE_PORT = 'little-elf-ask-bubble';
+
+const ASK_BUBBLE_PROMPT = 'What does this mean here? Explain it briefly, in two or three sentences.';
+
+const ASK_BUBBLE_STYLES = `
+    :host { all: initial; }
+    .ask {
+        position: absolute; display: flex; align-items: center; gap: 4px; padding: 4px 10px;
+        background: #111111; color: #ffffff; border: 1px solid #ee3c30; border-radius: 999px; cursor: pointer;
+        box-shadow: 0 4px 14px rgba(0, 0, 0, 0.35);
+        font: 600 12px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    }
+    .ask:hover { background: #ee3c30; }
+    .popover {
+        position: absolute; width: 320px; max-width: calc(100vw - 24px); display: flex; flex-direction: column;
+        background: #111111; color: #ffffff; border: 1px solid #333333; border-radius: 12px;
+        box-shadow: 0 12px 40px rgba(0, 0, 0, 0.5);
+        font: 13px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    }
+    .header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 2px solid #ee3c30; }
+    .title { flex: 1; font-weight: 700; }
+    .close { border: none; background: none; color: inherit; font-size: 18px; line-height: 1; padding: 0 4px; cursor: pointer; }
+    .answer { max-height: 240px; overflow: auto; padding: 10px 12px; white-space: pre-wrap; word-break: break-word; }
+    .answer.pending { color: #a3a3a3; }
+    .answer.error { color: #f87171; }
+    .footer { display: flex; justify-content: flex-end; padding: 0 12px 10px; }
+    .continue { font: inherit; color: #ee3c30; background: none; border: none; padding: 0; cursor: pointer; text-decoration: underline; }
+    .continue:disabled { color: #6b7280; cursor: default; text-decoration: none; }
+`;
+
+// Live bubble, null while hidden
+let askBubble = null;
+
+// Whether the bubble is switched on, kept in sync with storage
+let askBubbleEnabled = false;
+
+// One placeholder map per page, so the background's quick thread for it sees stable placeholders
+const askBubbleRedactionMap = createRedactionMap();
+
+/**
+ * Get the on-screen rectangle of the current selection
+ * @returns {DOMRect|null} Rectangle in viewport coordinates
+ */
+function getSelectionRect() {
+    const field = document.activeElement;
+    if (field?.tagName === 'TEXTAREA' || field?.tagName === 'INPUT') {
+        return field.getBoundingClientRect();
+    }
+
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+    return selection.getRangeAt(0).getBoundingClientRect();
+}
+
+/**
+ * Create the bubble's shadow root, outside body so extraction and the page observer never see it
+ * @returns {Object} Host, button and popover parts
+ */
+function createAskBubble() {
+    const host = document.createElement('div');
+    host.id = ASK_BUBBLE_ID;
+    host.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;';
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = ASK_BUBBLE_STYLES;
+
+    const button = createOverlayElement('button', 'ask', '🧝 Ask');
+    button.title = 'Explain the selection';
+    button.addEventListener('click', openAskPopover);
+
+    shadow.append(style, button);
+    document.documentElement.appendChild(host);
+
+    return { host, shadow, button, popover: null, port: null, selection: null, answer: '', done: false };
+}
+
+/**
+ * Show, move or hide the button to match the current selection
+ */
+async function updateAskBubble() {
+    // The popover stays put until it is closed
+    if (askBubble?.popover) return;
+
+    const selection = askBubbleEnabled ? getSelectionContext() : null;
+    const rect = selection && getSelectionRect();
+    if (!selection || !rect || (rect.width === 0 && rect.height === 0)) {
+        hideAskBubble();
+        return;
+    }
+
+    const { access } = await getPageAccess();
+    if (access === 'blocked') return;
+
+    askBubble = askBubble || createAskBubble();
+    askBubble.selection = selection;
+    askBubble.button.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    askBubble.button.style.left = `${Math.max(rect.right + window.scrollX - 60, window.scrollX + 8)}px`;
+}
+
+/**
+ * Replace the button with a popover and stream a short explanation into it
+ */
+function openAskPopover() {
+    if (!askBubble || askBubble.popover) return;
+
+    const { selection, button } = askBubble;
+    const popover = createOverlayElement('div', 'popover');
+    popover.style.top = button.style.top;
+    popover.style.left = `${Math.min(parseFloat(button.style.left), window.scrollX + window.innerWidth - 336)}px`;
+
+    const header = createOverlayElement('div', 'header');
+    const closeBtn = createOverlayElement('button', 'close', '×');
+    closeBtn.title = 'Close';
+    closeBtn.addEventListener('click', hideAskBubble);
+    header.append(createOverlayElement('span', 'title', 'Little Elf'), closeBtn);
+
+    const answer = createOverlayElement('div', 'answer pending', 'Thinking...');
+    const footer = createOverlayElement('div', 'footer');
+    const continueBtn = createOverlayElement('button', 'continue', 'Continue in sidepanel');
+    continueBtn.disabled = true;
+    continueBtn.addEventListener('click', continueInSidepanel);
+    footer.append(continueBtn);
+
+    popover.append(header, answer, footer);
+    button.replaceWith(popover);
+    askBubble.popover = popover;
+
+    streamAskBubbleAnswer(selection, answer, continueBtn);
+}
+
+/**
+ * Ask the background for the explanation and show it as it arrives
+ * @param {Object} selection - Result of getSelectionContext()
+ * @param {Element} answerEl - Element the answer is written into
+ * @param {HTMLButtonElement} continueBtn - Enabled once the answer is complete
+ */
+async function streamAskBubbleAnswer(selection, answerEl, continueBtn) {
+    const bubble = askBubble;
+
+    try {
+        const result = await chrome.storage.local.get(['redaction']);
+        if (askBubble !== bubble) return;
+
+        const settings = normalizeRedactionSettings(result.redaction);
+        const redact = text => (isRedactionActive(settings, window.location.href) ?
+            redactText(text, settings, askBubbleRedactionMap) :
+            text);
+
+        const path = selection.headingPath.length ? ` under "${redact(selection.headingPath.join(' › '))}"` : '';
+        const section = redact(selection.section);
+        const message = `${ASK_BUBBLE_PROMPT}\n\n[Selected on the page${path}]\n"""\n${redact(selection.text)}\n"""` +
+            (section ? `\n\n[Surrounding section]\n"""\n${section}\n"""` : '');
+
+        bubble.port = chrome.runtime.connect({ name: ASK_BUBBLE_PORT });
+        bubble.port.onMessage.addListener((response) => {
+            if (response.type === 'TEXT') {
+                bubble.answer += response.content;
+                answerEl.classList.remove('pending');
+                answerEl.textContent = bubble.answer;
+                answerEl.scrollTop = answerEl.scrollHeight;
+            } else if (response.type === 'DONE') {
+                bubble.done = true;
+                continueBtn.disabled = !bubble.answer;
+                bubble.port.disconnect();
+            } else if (response.type === 'ERROR') {
+                answerEl.classList.remove('pending');
+                answerEl.classList.add('error');
+                answerEl.textContent = response.error || 'Something went wrong';
+                bubble.port.disconnect();
+            }
+        });
+        bubble.port.postMessage({
+            type: 'ASK',
+            // Keyed like the sidepanel's session, so the question can use its content when there is one
+            sessionUrl: getCanonicalUrl() || window.location.href,
+            page: {
+                url: window.location.href,
+                title: document.title || window.location.href,
+                content: section || redact(selection.text),
+            },
+            message,
+        });
+    } catch (error) {
+        console.error('[Little Elf] Ask bubble failed:', error);
+        answerEl.classList.add('error');
+        answerEl.textContent = error.message;
+    }
+}
+
+/**
+ * Hand the exchange to the sidepanel, which opens with it added to the page's chat
+ */
+function continueInSidepanel() {
+    if (!askBubble?.done) return;
+
+    // Sent before anything is awaited, so opening the sidepanel still counts as a user gesture
+    chrome.runtime.sendMessage({
+        type: 'CONTINUE_IN_SIDEPANEL',
+        exchange: {
+            question: ASK_BUBBLE_PROMPT,
+            selection: askBubble.selection,
+            answer: askBubble.answer,
+        },
+    }).catch((error) => {
+        console.error('[Little Elf] Failed to continue in sidepanel:', error);
+    });
+
+    hideAskBubble();
+}
+
+/**
+ * Remove the bubble and stop any answer in progress
+ */
+function hideAskBubble() {
+    if (!askBubble) return;
+
+    askBubble.port?.disconnect();
+    askBubble.host.remove();
+    askBubble = null;
+}
+
+/**
+ * Read whether the bubble is switched on
+ */
+async function loadAskBubbleSetting() {
+    try {
+        const result = await chrome.storage.local.get(['askBubble', 'elfEnabled']);
+        askBubbleEnabled = result.askBubble === true && result.elfEnabled !== false;
+    } catch (error) {
+        console.error('[Little Elf] Error loading ask bubble setting:', error);
+    }
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !(changes.askBubble || changes.elfEnabled)) return;
+    loadAskBubbleSetting().then(() => {
+        if (!askBubbleEnabled) hideAskBubble();
+    });
+});
+
+// Selections settle on mouseup; the click that made them must not count as clicking away
+document.addEventListener('mouseup', (event) => {
+    if (askBubble && event.composedPath().includes(askBubble.host)) return;
+    setTimeout(updateAskBubble, 0);
+});
+
+document.addEventListener('mousedown', (event) => {
+    if (askBubble && !event.composedPath().includes(askBubble.host)) hideAskBubble();
+});
+
+document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') hideAskBubble();
+});
+
+loadAskBubbleSetting();
@@ -0,0 +1,196 @@
+/**
+ * Little Elf - Cited Passages
+ * Finds a passage an answer cites in the live page, scrolls to it and highlights it
+ */
+
+// Name of the CSS highlight; the page's DOM is never touched
+const CITATION_HIGHLIGHT_NAME = 'little-elf-citation';
+const CITATION_HIGHLIGHT_DURATION = 6000;
+
+// Sentences shorter than this match too many places to locate a quote by
+const CITATION_MIN_SNIPPET_LENGTH = 20;
+const CITATION_MAX_SNIPPET_LENGTH = 200;
+
+// Redaction placeholders in a quote stand for text the page still shows in full
+const CITATION_PLACEHOLDER = /\[[A-Z]+(?:_[A-Z]+)*_\d+\]/g;
+
+let citationHighlightTimer = null;
+let citationHighlightSheet = null;
+
+/**
+ * Reduce a quote from the uploaded Markdown to the words the page shows
+ * @param {string} quote - Cited passage
+ * @returns {string} Text without Markdown syntax
+ */
+function stripCitationMarkdown(quote) {
+    return quote
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^[ \t]*(?:#{1,6}[ \t]+|>[ \t]?|[-*+][ \t]+|\d+[.)][ \t]+)/gm, '')
+        .replace(/^[ \t]*\|?[ \t]*:?-{3,}.*$/gm, '')
+        .replace(/[*_~`|]/g, ' ');
+}
+
+/**
+ * Lowercase one character without changing its length, so indexes stay aligned with the page
+ * @param {string} char - Character
+ * @returns {string} Lowercased character
+ */
+function foldCitationChar(char) {
+    const lower = char.toLowerCase();
+    return lower.length === char.length ? lower : char;
+}
+
+/**
+ * Index the page's visible text for searching
+ *
+ * Whitespace is collapsed and text in different blocks is kept apart by a space,
+ * like it was in the extracted content. Every character of the indexed text keeps
+ * the text node and offset it came from.
+ *
+ * @returns {{text: string, nodes: Text[], offsets: number[]}} Lowercased text, and per character its node and offset
+ */
+function buildCitationTextIndex() {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => {
+            const parent = node.parentElement;
+            if (!parent || parent.closest('script, style, noscript, template, [hidden], [aria-hidden="true"]')) {
+                return NodeFilter.FILTER_REJECT;
+            }
+            return NodeFilter.FILTER_ACCEPT;
+        },
+    });
+
+    let text = '';
+    const nodes = [];
+    const offsets = [];
+    let lastBlock = null;
+    let pendingSpace = false;
+
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        const block = node.parentElement.closest(TEXT_BLOCK_SELECTOR);
+        if (block !== lastBlock) pendingSpace = text !== '';
+        lastBlock = block;
+
+        for (let offset = 0; offset < node.data.length; offset++) {
+            const char = node.data[offset];
+            if (/\s/.test(char)) {
+                pendingSpace = text !== '';
+                continue;
+            }
+
+            if (pendingSpace && !text.endsWith(' ')) {
+                text += ' ';
+                nodes.push(node);
+                offsets.push(offset);
+            }
+            pendingSpace = false;
+
+            text += foldCitationChar(char);
+            nodes.push(node);
+            offsets.push(offset);
+        }
+    }
+
+    return { text, nodes, offsets };
+}
+
+/**
+ * Normalize text the same way the page index is
+ * @param {string} text - Text to search for
+ * @returns {string} Collapsed, lowercased text
+ */
+function normalizeCitationText(text) {
+    return Array.from(collapseWhitespace(text), foldCitationChar).join('');
+}
+
+/**
+ * Locate a quote in the page
+ *
+ * The whole quote is tried first. Pages change and extraction reshapes text, so
+ * failing that, the quote's sentences are looked for one by one and the match
+ * runs from the first one found to the last one found near it.
+ *
+ * @param {string} quote - Cited passage
+ * @returns {Range|null} Range over the passage on the page
+ */
+function findCitationRange(quote) {
+    const index = buildCitationTextIndex();
+    const parts = quote.split(CITATION_PLACEHOLDER).map(stripCitationMarkdown);
+
+    const toRange = (start, end) => {
+        const range = document.createRange();
+        range.setStart(index.nodes[start], index.offsets[start]);
+        range.setEnd(index.nodes[end - 1], index.offsets[end - 1] + 1);
+        return range;
+    };
+
+    const whole = normalizeCitationText(parts.join(' '));
+    if (whole && parts.length === 1) {
+        const start = index.text.indexOf(whole);
+        if (start !== -1) return toRange(start, start + whole.length);
+    }
+
+    const snippets = parts
+        .flatMap(part => part.split(/(?<=[.!?:;])\s+|\n+/))
+        .map(part => normalizeCitationText(part).substring(0, CITATION_MAX_SNIPPET_LENGTH))
+        .filter(part => part.length >= CITATION_MIN_SNIPPET_LENGTH);
+
+    let start = -1;
+    let end = -1;
+    for (const snippet of snippets) {
+        if (start === -1) {
+            start = index.text.indexOf(snippet);
+            if (start !== -1) end = start + snippet.length;
+            continue;
+        }
+
+        // Later sentences only extend the match if they follow closely
+        const next = index.text.indexOf(snippet, end);
+        if (next !== -1 && next - end <= whole.length) {
+            end = next + snippet.length;
+        }
+    }
+
+    return start === -1 ? null : toRange(start, end);
+}
+
+/**
+ * Highlight a range for a few seconds without changing the page's DOM
+ * @param {Range} range - Passage to highlight
+ */
+function showCitationHighlight(range) {
+    clearTimeout(citationHighlightTimer);
+
+    if (window.CSS?.highlights && window.Highlight) {
+        if (!citationHighlightSheet) {
+            citationHighlightSheet = new CSSStyleSheet();
+            citationHighlightSheet.replaceSync(
+                `::highlight(${CITATION_HIGHLIGHT_NAME}) { background-color: #fde047; color: #111111; }`
+            );
+            document.adoptedStyleSheets = [...document.adoptedStyleSheets, citationHighlightSheet];
+        }
+        CSS.highlights.set(CITATION_HIGHLIGHT_NAME, new Highlight(range));
+        citationHighlightTimer = setTimeout(() => CSS.highlights.delete(CITATION_HIGHLIGHT_NAME), CITATION_HIGHLIGHT_DURATION);
+    } else {
+        // Without the Highlight API, selecting the passage is the next best thing
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+}
+
+/**
+ * Scroll to a cited passage and highlight it
+ * @param {string} quote - Cited passage
+ * @returns {boolean} False if the passage is no longer on the page
+ */
+function highlightCitation(quote) {
+    const range = quote ? findCitationRange(quote) : null;
+    if (!range) return false;
+
+    const anchor = range.startContainer.parentElement;
+    anchor.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    showCitationHighlight(range);
+    return true;
+}
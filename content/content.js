@@ -3,9 +3,6 @@
  * Extracts clean content from web pages with improved cleaning
  */
 
-// Maximum content length to prevent storage issues
-const MAX_CONTENT_LENGTH = 50000;
-
 // Selectors for elements to exclude from content extraction
 const EXCLUDE_SELECTORS = [
     'script',
@@ -50,7 +47,7 @@ const EXCLUDE_SELECTORS = [
     '.categories',
 ];
 
-// Selectors for main content areas (prioritized)
+// Selectors for main content areas (score bonus when scoring candidates)
 const MAIN_CONTENT_SELECTORS = [
     'article',
     '[role="main"]',
@@ -64,6 +61,48 @@ const MAIN_CONTENT_SELECTORS = [
     '.article',
 ];
 
+// Class/id hints that raise or lower a block's content score
+const POSITIVE_HINT_PATTERN = /article|body|content|entry|hentry|main|page|post|text|blog|story|prose|markdown|docs?/i;
+const NEGATIVE_HINT_PATTERN = /comment|combx|footer|foot|masthead|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav|menu|banner|cookie|popup|modal|ad-|ads/i;
+
+// Elements whose text is scored as a paragraph of content
+const SCORABLE_SELECTORS = 'p, pre, td, blockquote, li, h2, h3, section > div, article > div';
+
+// Relative change in content length that counts as new content
+const CONTENT_CHANGE_RATIO = 0.15;
+
+// Time for a single-page app to render a new route before re-extracting
+const ROUTE_SETTLE_DELAY = 1000;
+
+// Last extracted page data, used to detect route and content changes
+let lastPageData = null;
+let routeCheckTimer = null;
+
+// Maximum depth of nested same-origin frames to expand
+const MAX_FRAME_DEPTH = 3;
+
+// Background extraction works in idle slices of at most this many ms, waiting at most IDLE_SLICE_TIMEOUT for each
+const IDLE_SLICE_BUDGET = 8;
+const IDLE_SLICE_TIMEOUT = 2000;
+
+// Port name an open chat connects with while it wants to hear about page changes
+const PAGE_WATCH_PORT = 'little-elf-page-watch';
+
+// Attribute marking elements a site rule always includes
+const RULE_INCLUDE_ATTRIBUTE = 'data-elf-include';
+
+// Attribute linking a composed clone back to its live element (debug overlay only)
+const SOURCE_INDEX_ATTRIBUTE = 'data-elf-source';
+
+// Maximum number of data tables attached to page data
+const MAX_TABLES = 20;
+
+// Minimum characters for a block to count towards a candidate's score
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// A merged sibling must score at least this fraction of the top candidate
+const SIBLING_SCORE_RATIO = 0.2;
+
 /**
  * Check if the extension is enabled
  * @returns {Promise<boolean>} Whether the extension is enabled
@@ -78,6 +117,20 @@ async function isExtensionEnabled() {
     }
 }
 
+/**
+ * Look up how the site policy treats this page
+ * @returns {Promise<Object>} Result of getSiteAccess() for the current URL
+ */
+async function getPageAccess() {
+    try {
+        const result = await chrome.storage.local.get(['sitePolicy']);
+        return getSiteAccess(window.location.href, normalizeSitePolicy(result.sitePolicy));
+    } catch (error) {
+        console.error('[Little Elf] Error checking site access:', error);
+        return { access: 'blocked', list: null, pattern: '' };
+    }
+}
+
 /**
  * Extract meta description from the page
  * @returns {string} Meta description or empty string
@@ -103,11 +156,12 @@ function extractMetaDescription() {
 
 /**
  * Extract all headings from the page
+ * @param {ParentNode} [root] - Root to search within
  * @returns {Array<Object>} Array of heading objects with level and text
  */
-function extractHeadings() {
+function extractHeadings(root = document) {
     const headings = [];
-    const headingElements = document.querySelectorAll('h1, h2, h3, h4');
+    const headingElements = root.querySelectorAll('h1, h2, h3, h4');
 
     headingElements.forEach((heading) => {
         const text = heading.textContent?.trim();
@@ -124,11 +178,12 @@ function extractHeadings() {
 
 /**
  * Extract alt text from images
+ * @param {ParentNode} [root] - Root to search within
  * @returns {string[]} Array of alt texts
  */
-function extractImageAlts() {
+function extractImageAlts(root = document) {
     const alts = [];
-    const images = document.querySelectorAll('img[alt]');
+    const images = root.querySelectorAll('img[alt]');
 
     images.forEach((img) => {
         const alt = img.getAttribute('alt')?.trim();
@@ -141,35 +196,442 @@ function extractImageAlts() {
 }
 
 /**
- * Extract code blocks from the page
- * @returns {string[]} Array of code snippets
+ * Describe an image from its text alternatives and surroundings, for "Describe image"
+ * @param {string} srcUrl - Image URL from the context menu
+ * @returns {Object} alt, title, caption and nearbyText, empty strings when unknown
+ */
+function getImageContext(srcUrl) {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const image = Array.from(document.images).find(img => img.currentSrc === srcUrl || img.src === srcUrl);
+    if (!image) {
+        return { alt: '', title: '', caption: '', nearbyText: '' };
+    }
+
+    const figure = image.closest('figure');
+
+    // The closest ancestor with a sentence or two of text says what the image is there for
+    let nearbyText = '';
+    for (let element = (figure || image).parentElement; element && element !== document.body; element = element.parentElement) {
+        const text = clean(element.textContent);
+        if (text.length >= MIN_PARAGRAPH_LENGTH * 3) {
+            nearbyText = text.substring(0, 600);
+            break;
+        }
+    }
+
+    return {
+        alt: clean(image.getAttribute('alt')),
+        title: clean(image.getAttribute('title') || image.getAttribute('aria-label')),
+        caption: clean(figure?.querySelector('figcaption')?.textContent),
+        nearbyText,
+    };
+}
+
+/**
+ * Extract every code block on the page with its language and position
+ * @param {ParentNode} [root] - Root to search within
+ * @returns {Array<Object>} Code blocks with index, language, heading and code, in page order
  */
-function extractCodeBlocks() {
+function extractCodeBlocks(root = document) {
     const codeBlocks = [];
-    const preElements = document.querySelectorAll('pre code, pre');
+    let heading = '';
+
+    // Walk in document order so each block knows the heading above it
+    root.querySelectorAll('h1, h2, h3, h4, h5, h6, pre').forEach((element) => {
+        if (element.tagName !== 'PRE') {
+            heading = element.textContent.replace(/\s+/g, ' ').trim() || heading;
+            return;
+        }
+
+        if (element.parentElement?.closest('pre') || isInExcludedRegion(element)) return;
+
+        const code = element.textContent.replace(/^\n+|\s+$/g, '');
+        if (!code.trim() || isLineNumberGutter(code)) return;
+
+        codeBlocks.push({
+            index: codeBlocks.length,
+            language: detectCodeLanguage(element),
+            heading,
+            code,
+        });
+    });
 
-    preElements.forEach((el) => {
-        const code = el.textContent?.trim();
-        if (code && code.length > 20 && code.length < 2000) {
-            codeBlocks.push(code);
+    return codeBlocks;
+}
+
+/**
+ * Extract data tables from the page
+ * @param {ParentNode} [root] - Root to search within
+ * @returns {Array<Object>} Tables with caption, headers and rows
+ */
+function extractTables(root = document) {
+    const tables = [];
+
+    root.querySelectorAll('table').forEach((table) => {
+        if (tables.length >= MAX_TABLES) return;
+        if (isLayoutTable(table) || isInExcludedRegion(table)) return;
+
+        const extracted = extractTable(table);
+        if (extracted) {
+            tables.push({ index: tables.length, ...extracted });
+        }
+    });
+
+    return tables;
+}
+
+/**
+ * Compute the class/id hint weight for an element
+ * @param {Element} element - Element to weigh
+ * @returns {number} Positive for content-like hints, negative for boilerplate
+ */
+function getHintWeight(element) {
+    let weight = 0;
+    const hints = [element.className, element.id]
+        .filter(hint => typeof hint === 'string' && hint.length > 0);
+
+    hints.forEach((hint) => {
+        if (NEGATIVE_HINT_PATTERN.test(hint)) weight -= 10;
+        if (POSITIVE_HINT_PATTERN.test(hint)) weight += 10;
+    });
+
+    return weight;
+}
+
+/**
+ * Initial score for a candidate based on its tag, hints and selector matches
+ * @param {Element} element - Candidate element
+ * @returns {number} Base score
+ */
+function getBaseScore(element) {
+    let score = getHintWeight(element);
+
+    switch (element.tagName) {
+        case 'ARTICLE':
+        case 'MAIN':
+            score += 10;
+            break;
+        case 'DIV':
+        case 'SECTION':
+            score += 5;
+            break;
+        case 'PRE':
+        case 'TD':
+        case 'BLOCKQUOTE':
+            score += 3;
+            break;
+        case 'FORM':
+        case 'UL':
+        case 'OL':
+        case 'DL':
+            score -= 3;
+            break;
+        default:
+            break;
+    }
+
+    const matchesMainSelector = MAIN_CONTENT_SELECTORS.some((selector) => {
+        try {
+            return element.matches(selector);
+        } catch {
+            return false;
         }
     });
+    if (matchesMainSelector) score += 5;
+
+    return score;
+}
+
+/**
+ * Ratio of link text to total text inside an element
+ * @param {Element} element - Element to measure
+ * @returns {number} Link density between 0 and 1
+ */
+function getLinkDensity(element) {
+    const textLength = element.textContent.trim().length;
+    if (textLength === 0) return 0;
+
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach((link) => {
+        linkLength += link.textContent.trim().length;
+    });
 
-    return codeBlocks.slice(0, 10);
+    return Math.min(linkLength / textLength, 1);
 }
 
 /**
- * Find main content area
+ * Check whether an element sits inside a region we never treat as content
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if the element is inside an excluded region
+ */
+function isInExcludedRegion(element) {
+    return EXCLUDE_SELECTORS.some((selector) => {
+        try {
+            return element.closest(selector) !== null;
+        } catch {
+            return false;
+        }
+    });
+}
+
+/**
+ * Score candidate blocks by text density, link density, paragraph count and hints
+ * @param {Element} root - Element to search within
+ * @returns {Map<Element, Object>} Candidate elements with their scores
+ */
+function scoreCandidates(root) {
+    const candidates = new Map();
+
+    const addCandidate = (element) => {
+        if (!candidates.has(element)) {
+            candidates.set(element, { score: getBaseScore(element), contentScore: 0, paragraphs: 0 });
+        }
+        return candidates.get(element);
+    };
+
+    root.querySelectorAll(SCORABLE_SELECTORS).forEach((block) => {
+        const text = block.textContent?.trim() || '';
+        if (text.length < MIN_PARAGRAPH_LENGTH) return;
+        if (isInExcludedRegion(block)) return;
+
+        // One point per block, per comma and per 100 characters (capped)
+        const commaCount = (text.match(/[,،、]/g) || []).length;
+        const blockScore = 1 + commaCount + Math.min(Math.floor(text.length / 100), 3);
+
+        // Parent gets the full score, grandparent half, great-grandparent a third
+        let ancestor = block.parentElement;
+        for (let level = 0; ancestor && level < 3; level++) {
+            if (ancestor === document.documentElement) break;
+
+            const candidate = addCandidate(ancestor);
+            const share = blockScore / (level === 0 ? 1 : level * 2);
+            candidate.score += share;
+            candidate.contentScore += share;
+            if (level === 0) candidate.paragraphs++;
+
+            ancestor = ancestor.parentElement;
+        }
+    });
+
+    // Penalize blocks that are mostly links
+    candidates.forEach((candidate, element) => {
+        const linkFactor = 1 - getLinkDensity(element);
+        candidate.score *= linkFactor;
+        candidate.contentScore *= linkFactor;
+    });
+
+    return candidates;
+}
+
+/**
+ * Decide whether a sibling of the top candidate belongs to the article
+ * @param {Element} sibling - Sibling element
+ * @param {Map<Element, Object>} candidates - Scored candidates
+ * @param {number} threshold - Minimum content score for scored siblings
+ * @returns {boolean} True if the sibling should be merged
+ */
+function shouldMergeSibling(sibling, candidates, threshold) {
+    // Judge siblings on their own text, not on tag or class bonuses
+    const candidate = candidates.get(sibling);
+    if (candidate && candidate.contentScore >= threshold && getHintWeight(sibling) >= 0) return true;
+
+    if (sibling.tagName !== 'P') return false;
+
+    const text = sibling.textContent.trim();
+    const linkDensity = getLinkDensity(sibling);
+
+    if (text.length > 80 && linkDensity < 0.25) return true;
+    return text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text);
+}
+
+/**
+ * Find main content area by scoring candidate blocks and merging related siblings
+ * @param {Element} [root] - Root to search within
  * @returns {Element|null} Main content element or null
  */
-function findMainContent() {
-    for (const selector of MAIN_CONTENT_SELECTORS) {
-        const element = document.querySelector(selector);
-        if (element && element.textContent.length > 100) {
-            return element;
+function findMainContent(root = document.body) {
+    if (!root) return null;
+
+    const candidates = scoreCandidates(root);
+    if (candidates.size === 0) return null;
+
+    let topElement = null;
+    let topScore = -Infinity;
+    candidates.forEach((candidate, element) => {
+        if (candidate.score > topScore) {
+            topScore = candidate.score;
+            topElement = element;
+        }
+    });
+
+    if (!topElement || topScore <= 0) return null;
+
+    // Prefer an ancestor when the content is split across several similarly scored children
+    let parent = topElement.parentElement;
+    while (parent && parent !== root) {
+        const parentCandidate = candidates.get(parent);
+        if (!parentCandidate || parentCandidate.score < topScore * 0.75) break;
+        if (parent.textContent.trim().length > topElement.textContent.trim().length * 3) break;
+        topElement = parent;
+        topScore = Math.max(topScore, parentCandidate.score);
+        parent = topElement.parentElement;
+    }
+
+    if (!topElement.parentElement) return topElement;
+
+    // Merge siblings that look like part of the same article
+    const threshold = Math.max(10, topScore * SIBLING_SCORE_RATIO);
+    const siblings = Array.from(topElement.parentElement.children);
+    const merged = siblings.filter((sibling) => {
+        return sibling === topElement || shouldMergeSibling(sibling, candidates, threshold);
+    });
+
+    if (merged.length === 1) return topElement;
+
+    const container = document.createElement('div');
+    merged.forEach((element) => container.appendChild(element.cloneNode(true)));
+    return container;
+}
+
+/**
+ * Get the document of a same-origin frame
+ * @param {Element} frame - iframe or frame element
+ * @returns {Document|null} Frame document, or null if cross-origin or not loaded
+ */
+function getFrameDocument(frame) {
+    try {
+        const frameDocument = frame.contentDocument;
+        return frameDocument?.body ? frameDocument : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Clone one node of the composed tree, without its children
+ * @param {Node} node - Node to clone
+ * @param {Object} context - Walk options, see cloneComposed()
+ * @returns {{clone: Node|null, children: Node[], childContext: Object}} Shallow clone (null for a hidden
+ *     element), the nodes to clone into it, and the context to clone them with
+ */
+function cloneComposedShallow(node, context) {
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return { clone: node.cloneNode(false), children: [], childContext: context };
+    }
+
+    const { frameDepth = 0, sources = null, hidden = null } = context;
+
+    // Hidden text never reaches the assistant; body is exempt so load-time fades can't empty the page
+    if (node.tagName !== 'BODY' && isElementHidden(node)) {
+        if (hidden) hidden.push(node);
+        return { clone: null, children: [], childContext: context };
+    }
+
+    // Replace accessible frames with a labeled container holding their body
+    if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+        const frameDocument = frameDepth < MAX_FRAME_DEPTH ? getFrameDocument(node) : null;
+        if (!frameDocument) return { clone: node.cloneNode(false), children: [], childContext: context };
+
+        const container = document.createElement('div');
+        container.setAttribute('data-elf-frame-source', frameDocument.location?.href || node.src || '');
+        container.setAttribute('data-elf-frame-title', frameDocument.title || node.title || '');
+        if (sources) container.setAttribute(SOURCE_INDEX_ATTRIBUTE, String(sources.push(node) - 1));
+        return { clone: container, children: [frameDocument.body], childContext: { ...context, frameDepth: frameDepth + 1 } };
+    }
+
+    const clone = node.cloneNode(false);
+    if (sources) clone.setAttribute(SOURCE_INDEX_ATTRIBUTE, String(sources.push(node) - 1));
+    let children = node.shadowRoot ? node.shadowRoot.childNodes : node.childNodes;
+
+    // Slots render the light DOM nodes assigned to them, or their fallback content
+    if (node.tagName === 'SLOT' && typeof node.assignedNodes === 'function') {
+        const assigned = node.assignedNodes({ flatten: true });
+        if (assigned.length > 0) children = assigned;
+    }
+
+    return { clone, children: Array.from(children), childContext: context };
+}
+
+/**
+ * Clone a node into a flat light-DOM tree, expanding open shadow roots and same-origin frames
+ * and leaving out elements the page does not render
+ * @param {Node} node - Node to clone
+ * @param {Object} [context] - Options shared by the whole walk
+ * @param {number} [context.frameDepth] - Number of frames already entered
+ * @param {Element[]} [context.sources] - When given, each cloned element is tagged with the index of its live element here
+ * @param {Element[]} [context.hidden] - When given, collects the live elements left out as hidden
+ * @returns {Node|null} Composed clone, or null for a hidden element
+ */
+function cloneComposed(node, context = {}) {
+    const { clone, children, childContext } = cloneComposedShallow(node, context);
+    if (!clone) return null;
+
+    children.forEach((child) => {
+        const childClone = cloneComposed(child, childContext);
+        if (childClone) clone.appendChild(childClone);
+    });
+
+    return clone;
+}
+
+/**
+ * Wait for the browser to be idle
+ * @returns {Promise<number>} Time at which the granted slice ends
+ */
+function waitForIdleSlice() {
+    return new Promise((resolve) => {
+        const start = (deadline) => {
+            // A timed-out callback reports no idle time, but still gets a full slice
+            const budget = deadline && !deadline.didTimeout ?
+                Math.min(deadline.timeRemaining(), IDLE_SLICE_BUDGET) :
+                IDLE_SLICE_BUDGET;
+            resolve(performance.now() + Math.max(budget, 1));
+        };
+
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(start, { timeout: IDLE_SLICE_TIMEOUT });
+        } else {
+            setTimeout(start, 0);
+        }
+    });
+}
+
+/**
+ * Same as cloneComposed(), but walks the page in idle-time slices so a large DOM never blocks the page
+ * @param {Node} node - Node to clone
+ * @param {Object} [context] - Options, see cloneComposed()
+ * @returns {Promise<Node|null>} Composed clone, or null for a hidden element
+ */
+async function cloneComposedInSlices(node, context = {}) {
+    let sliceEnd = await waitForIdleSlice();
+
+    const root = cloneComposedShallow(node, context);
+    if (!root.clone) return null;
+
+    // Depth-first, keeping each parent's position so children are appended in order
+    const stack = [{ parent: root.clone, children: root.children, index: 0, context: root.childContext }];
+
+    while (stack.length > 0) {
+        if (performance.now() >= sliceEnd) {
+            sliceEnd = await waitForIdleSlice();
+        }
+
+        const frame = stack[stack.length - 1];
+        if (frame.index >= frame.children.length) {
+            stack.pop();
+            continue;
+        }
+
+        const { clone, children, childContext } = cloneComposedShallow(frame.children[frame.index++], frame.context);
+        if (!clone) continue;
+
+        frame.parent.appendChild(clone);
+        if (children.length > 0) {
+            stack.push({ parent: clone, children, index: 0, context: childContext });
         }
     }
-    return null;
+
+    return root.clone;
 }
 
 /**
@@ -183,7 +645,10 @@ function cleanElement(element) {
     EXCLUDE_SELECTORS.forEach((selector) => {
         try {
             const elements = clone.querySelectorAll(selector);
-            elements.forEach((el) => el.remove());
+            elements.forEach((el) => {
+                // Site rules can force content back in
+                if (!containsIncludedElement(el)) el.remove();
+            });
         } catch {
             // Ignore invalid selectors
         }
@@ -193,45 +658,101 @@ function cleanElement(element) {
 }
 
 /**
- * Extract clean text content from the page
- * @returns {string} Cleaned text content
+ * Check whether an element is, or contains, an "always include" element from a site rule
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if removing the element would drop included content
+ */
+function containsIncludedElement(element) {
+    return element.hasAttribute(RULE_INCLUDE_ATTRIBUTE) ||
+        element.querySelector(`[${RULE_INCLUDE_ATTRIBUTE}]`) !== null;
+}
+
+/**
+ * Apply a site rule's excludes and mark its always-include elements on the composed tree
+ * @param {Element} root - Composed page body from cloneComposed()
+ * @param {Object} rule - Rule from getRuleForUrl()
+ */
+function applyRuleToRoot(root, rule) {
+    querySelectorsSafely(root, rule.include).forEach((element, index) => {
+        element.setAttribute(RULE_INCLUDE_ATTRIBUTE, String(index));
+    });
+
+    querySelectorsSafely(root, rule.exclude).forEach((element) => {
+        if (!containsIncludedElement(element)) element.remove();
+    });
+}
+
+/**
+ * Find the main content named by a site rule
+ * @param {Element} root - Composed page body
+ * @param {Object} rule - Rule from getRuleForUrl()
+ * @returns {Element|null} Matching element, a container of all matches, or null
+ */
+function findRuleMainContent(root, rule) {
+    if (!rule.mainSelector) return null;
+
+    const matches = querySelectorsSafely(root, [rule.mainSelector])
+        // Nested matches are already covered by their ancestor
+        .filter((element, index, all) => !all.some(other => other !== element && other.contains(element)));
+
+    if (matches.length === 0) return null;
+    if (matches.length === 1) return matches[0];
+
+    const container = document.createElement('div');
+    matches.forEach(element => container.appendChild(element.cloneNode(true)));
+    return container;
+}
+
+/**
+ * Add "always include" elements that the main content does not already contain
+ * @param {Element} cleanedElement - Cleaned main content
+ * @param {Element} root - Composed page body holding the marked elements
+ * @returns {Element} The cleaned element, or a container holding it and the extra elements
+ */
+function addIncludedElements(cleanedElement, root) {
+    const missing = Array.from(root.querySelectorAll(`[${RULE_INCLUDE_ATTRIBUTE}]`)).filter((element) => {
+        const selector = `[${RULE_INCLUDE_ATTRIBUTE}="${element.getAttribute(RULE_INCLUDE_ATTRIBUTE)}"]`;
+        if (cleanedElement.matches(selector) || cleanedElement.querySelector(selector)) return false;
+        // Nested marks come along with their included ancestor
+        return !element.parentElement?.closest(`[${RULE_INCLUDE_ATTRIBUTE}]`);
+    });
+
+    if (missing.length === 0) return cleanedElement;
+
+    const container = document.createElement('div');
+    container.appendChild(cleanedElement);
+    missing.forEach(element => container.appendChild(cleanElement(element)));
+    return container;
+}
+
+/**
+ * Extract clean content from the page as Markdown
+ * @param {Element} root - Composed page body from cloneComposed()
+ * @param {Object|null} rule - Site rule from getRuleForUrl()
+ * @returns {string} Markdown content
  */
-function extractCleanContent() {
+function extractCleanContent(root, rule = null) {
     try {
-        // Try to find main content area first
-        let contentElement = findMainContent();
+        // A site rule's main selector wins over the generic scoring
+        let contentElement = rule ? findRuleMainContent(root, rule) : null;
 
         if (!contentElement) {
-            contentElement = document.body;
+            contentElement = findMainContent(root);
         }
 
-        const cleanedElement = cleanElement(contentElement);
+        if (!contentElement) {
+            contentElement = root;
+        }
 
-        // Get text content
-        let textContent = cleanedElement.textContent || '';
+        const cleanedElement = addIncludedElements(cleanElement(contentElement), root);
 
-        // Clean up whitespace
-        textContent = textContent
-            .replace(/\t/g, ' ')
-            .replace(/\r\n/g, '\n')
-            .replace(/\r/g, '\n')
-            .replace(/ {2,}/g, ' ')
+        // Serialize to Markdown so headings, lists, tables and links keep their structure
+        const textContent = elementToMarkdown(cleanedElement)
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t]+$/gm, '')
             .replace(/\n{3,}/g, '\n\n')
-            .split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0)
-            .join('\n')
             .trim();
 
-        // Limit content length
-        if (textContent.length > MAX_CONTENT_LENGTH) {
-            textContent = textContent.substring(0, MAX_CONTENT_LENGTH);
-            const lastPeriod = textContent.lastIndexOf('.');
-            if (lastPeriod > MAX_CONTENT_LENGTH - 500) {
-                textContent = textContent.substring(0, lastPeriod + 1);
-            }
-        }
-
         return textContent;
     } catch (error) {
         console.error('[Little Elf] Error extracting content:', error);
@@ -241,35 +762,49 @@ function extractCleanContent() {
 
 /**
  * Extract structured content for better RAG performance
+ * @param {Element} root - Composed page body from cloneComposed()
+ * @param {Object} [parts] - Pieces extracted separately
+ * @param {Array<Object>} [parts.tables] - Tables from extractTables()
+ * @param {Array<Object>} [parts.transcripts] - Caption and panel transcripts
+ * @param {Object} [parts.metadata] - Metadata from extractMetadata()
+ * @param {Object} [parts.rule] - Site rule from getRuleForUrl()
  * @returns {string} Structured content
  */
-function extractStructuredContent() {
+function extractStructuredContent(root, { tables = [], transcripts = [], metadata = null, rule = null } = {}) {
     const sections = [];
 
+    // Lead with author, dates and language so "who wrote this / when" can be answered
+    const metadataSummary = metadata ? formatMetadataSummary(metadata) : '';
+    if (metadataSummary) {
+        sections.push('[Page metadata:]\n' + metadataSummary + '\n\n');
+    }
+
     // Main text content
-    const mainContent = extractCleanContent();
+    const mainContent = extractCleanContent(root, rule);
     sections.push(mainContent);
 
+    // Timestamped transcripts so answers can say when something was said
+    transcripts.forEach((transcript) => {
+        sections.push('\n\n' + formatTranscript(transcript));
+    });
+
     // Add image descriptions
-    const imageAlts = extractImageAlts();
+    const imageAlts = extractImageAlts(root);
     if (imageAlts.length > 0) {
         sections.push('\n\n[Images on this page:]\n' + imageAlts.join('\n'));
     }
 
-    // Add code blocks summary
-    const codeBlocks = extractCodeBlocks();
-    if (codeBlocks.length > 0) {
-        sections.push('\n\n[Code examples on this page:]\n' + codeBlocks.slice(0, 5).join('\n---\n'));
-    }
-
-    let fullContent = sections.join('');
-
-    // Ensure we don't exceed max length
-    if (fullContent.length > MAX_CONTENT_LENGTH) {
-        fullContent = fullContent.substring(0, MAX_CONTENT_LENGTH);
+    // Add tables as CSV so row/column lookups stay exact
+    if (tables.length > 0) {
+        const csvTables = tables.map((table) => {
+            const label = table.caption ? `Table ${table.index + 1}: ${table.caption}` : `Table ${table.index + 1}`;
+            return `${label}\n${tableToCsv(table)}`;
+        });
+        sections.push('\n\n[Tables on this page (CSV):]\n' + csvTables.join('\n\n'));
     }
 
-    return fullContent;
+    // Long pages are kept whole; the sidepanel splits them into parts for upload
+    return sections.join('');
 }
 
 /**
@@ -277,24 +812,111 @@ function extractStructuredContent() {
  * @returns {Object} Structured page data
  */
 function extractPageData() {
+    // Work on one composed copy so shadow roots and same-origin frames are included everywhere
+    const hiddenElements = [];
+    const root = document.body ? cloneComposed(document.body, { hidden: hiddenElements }) : document.createElement('body');
+    return extractPageDataFromRoot(root, hiddenElements);
+}
+
+/**
+ * Extract all page data without blocking the page, for extractions nobody is waiting on
+ * @returns {Promise<Object>} Structured page data
+ */
+async function extractPageDataInSlices() {
+    const hiddenElements = [];
+    const root = document.body ?
+        await cloneComposedInSlices(document.body, { hidden: hiddenElements }) :
+        document.createElement('body');
+
+    // The rest works on the detached copy, in one more slice
+    await waitForIdleSlice();
+    return extractPageDataFromRoot(root, hiddenElements);
+}
+
+/**
+ * Build page data from a composed copy of the body
+ * @param {Element} root - Composed body from cloneComposed()
+ * @param {Element[]} hiddenElements - Live elements left out as hidden
+ * @returns {Object} Structured page data
+ */
+function extractPageDataFromRoot(root, hiddenElements) {
     const url = window.location.href;
     const title = document.title || 'Untitled';
     const description = extractMetaDescription();
-    const headings = extractHeadings();
-    const content = extractStructuredContent();
+    const metadata = extractMetadata();
+
+    // User-defined site rules run before the generic heuristics
+    const rule = getRuleForUrl(url);
+    if (rule) applyRuleToRoot(root, rule);
+
+    const headings = extractHeadings(root);
+    // Panels are taken out of the tree so their text is not repeated as page content
+    const transcripts = [...extractCaptionTranscripts(), ...extractTranscriptPanels(root)];
+    const tables = extractTables(root);
+    const codeBlocks = extractCodeBlocks(root);
+    // Instruction-like passages stay readable but are marked as page text, not instructions
+    const { content, flagged } = markInjectedPassages(
+        extractStructuredContent(root, { tables, transcripts, metadata, rule })
+    );
+    const safety = buildSafetyReport(hiddenElements.map(getHiddenPassage).filter(Boolean), flagged);
     const timestamp = new Date().toISOString();
 
     return {
         url,
         title,
         description,
+        metadata,
         headings,
+        tables,
+        codeBlocks,
+        transcripts,
         content,
+        safety,
+        appliedRules: rule ? rule.patterns : [],
         timestamp,
         contentLength: content.length
     };
 }
 
+/**
+ * Find the live page elements behind the extraction decisions, for the debug overlay
+ * @returns {{main: Element[], excluded: Element[], included: Element[], hidden: Element[]}} Live elements by role
+ */
+function locateExtractionRegions() {
+    const sources = [];
+    const hidden = [];
+    const root = document.body ? cloneComposed(document.body, { sources, hidden }) : document.createElement('body');
+    const rule = getRuleForUrl(window.location.href);
+
+    const toSources = (clones) => {
+        return clones
+            .map(clone => sources[Number(clone.getAttribute(SOURCE_INDEX_ATTRIBUTE))])
+            .filter(Boolean);
+    };
+    const outermost = (elements) => {
+        return elements.filter(element => !elements.some(other => other !== element && other.contains(element)));
+    };
+
+    // Collect excludes before the rule removes its own from the tree
+    const excludeCandidates = querySelectorsSafely(root, [...EXCLUDE_SELECTORS, ...(rule ? rule.exclude : [])]);
+    if (rule) applyRuleToRoot(root, rule);
+
+    let mainElement = rule ? findRuleMainContent(root, rule) : null;
+    if (!mainElement) mainElement = findMainContent(root) || root;
+
+    // Merged siblings come back as copies in a detached container
+    const mainClones = mainElement.hasAttribute(SOURCE_INDEX_ATTRIBUTE) ?
+        [mainElement] :
+        Array.from(mainElement.children);
+
+    return {
+        main: toSources(mainClones),
+        excluded: toSources(outermost(excludeCandidates.filter(element => !containsIncludedElement(element)))),
+        included: toSources(outermost(Array.from(root.querySelectorAll(`[${RULE_INCLUDE_ATTRIBUTE}]`)))),
+        hidden: hidden.filter(element => getHiddenPassage(element)),
+    };
+}
+
 /**
  * Send extracted data to the background script
  * @param {Object} data - Extracted page data
@@ -315,10 +937,28 @@ async function sendToBackground(data) {
     }
 }
 
+/**
+ * Check whether a URL belongs to the browser or an extension
+ * @param {string} url - URL to check
+ * @returns {boolean} True for internal URLs we never extract
+ */
+function isInternalUrl(url) {
+    return url.startsWith('chrome://') ||
+        url.startsWith('chrome-extension://') ||
+        url.startsWith('about:') ||
+        url.startsWith('edge://') ||
+        url.startsWith('file://') ||
+        url.startsWith('moz-extension://');
+}
+
 /**
  * Main extraction function
+ * @param {Object} [options]
+ * @param {boolean} [options.requested] - The user asked for it, so on-demand mode does not hold it back
+ *     and the page is read in one go instead of in idle slices
+ * @returns {Promise<Object|null>} Page data, or null if extraction was skipped or failed
  */
-async function runExtraction() {
+async function runExtraction({ requested = false } = {}) {
     const enabled = await isExtensionEnabled();
     if (!enabled) {
         console.log('[Little Elf] Extension is disabled, skipping extraction');
@@ -326,20 +966,27 @@ async function runExtraction() {
     }
 
     const url = window.location.href;
-    if (url.startsWith('chrome://') ||
-        url.startsWith('chrome-extension://') ||
-        url.startsWith('about:') ||
-        url.startsWith('edge://') ||
-        url.startsWith('file://') ||
-        url.startsWith('moz-extension://')) {
+    if (isInternalUrl(url)) {
         console.log('[Little Elf] Skipping internal URL:', url);
         return null;
     }
 
+    const { access, pattern } = await getPageAccess();
+    if (access === 'blocked') {
+        console.log('[Little Elf] Site is blocked, skipping extraction:', pattern);
+        return null;
+    }
+    if (access === 'on-demand' && !requested) {
+        console.log('[Little Elf] Waiting for an extraction request');
+        return null;
+    }
+
     console.log('[Little Elf] Starting content extraction...');
 
     try {
-        const pageData = extractPageData();
+        await Promise.all([extractionRulesReady, loadMediaTranscripts()]);
+        const pageData = requested ? extractPageData() : await extractPageDataInSlices();
+        lastPageData = pageData;
         await sendToBackground(pageData);
         return pageData;
     } catch (error) {
@@ -356,8 +1003,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     switch (message.type) {
         case 'TRIGGER_EXTRACTION':
-            runExtraction().then((data) => {
-                sendResponse({ success: true, data });
+            runExtraction({ requested: true }).then((data) => {
+                sendResponse(data ? { success: true, data } : { success: false, error: 'Extraction is off for this page' });
             }).catch((error) => {
                 sendResponse({ success: false, error: error.message });
             });
@@ -365,16 +1012,61 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
         case 'GET_PAGE_CONTENT':
             // Directly return page content for sidepanel
-            try {
-                const pageData = extractPageData();
-                sendResponse(pageData);
-            } catch (error) {
+            getPageAccess().then(async ({ access }) => {
+                if (access === 'blocked') {
+                    sendResponse({ blocked: true });
+                    return;
+                }
+                await Promise.all([extractionRulesReady, loadMediaTranscripts()]);
+                // Becomes the baseline for change detection while the chat is open
+                lastPageData = extractPageData();
+                sendResponse(lastPageData);
+            }).catch(() => {
                 sendResponse(null);
-            }
+            });
+            return true;
+
+        case 'GET_SELECTION_CONTEXT':
+            getPageAccess().then(({ access }) => {
+                sendResponse(access === 'blocked' ? { blocked: true } : { selection: getSelectionContext() });
+            });
+            return true;
+
+        case 'HIGHLIGHT_CITATION':
+            getPageAccess().then(({ access }) => {
+                sendResponse({ found: access !== 'blocked' && highlightCitation(message.quote) });
+            }).catch((error) => {
+                console.error('[Little Elf] Citation highlight error:', error);
+                sendResponse({ found: false });
+            });
+            return true;
+
+        case 'GET_IMAGE_CONTEXT':
+            sendResponse(getImageContext(message.srcUrl));
+            return true;
+
+        case 'CHECK_ROUTE':
+            // Background saw the tab URL change (history.pushState and friends)
+            scheduleRouteCheck();
+            sendResponse({ success: true });
+            return true;
+
+        case 'TOGGLE_DEBUG_OVERLAY':
+            getPageAccess().then(({ access }) => {
+                if (access === 'blocked') {
+                    sendResponse({ success: false, error: 'Little Elf is blocked on this site' });
+                    return;
+                }
+                sendResponse({ success: true, visible: toggleDebugOverlay() });
+            }).catch((error) => {
+                console.error('[Little Elf] Debug overlay error:', error);
+                sendResponse({ success: false, error: error.message });
+            });
             return true;
 
         case 'CHECK_READY':
-            sendResponse({ ready: true });
+            // contentType lets the sidepanel spot PDFs served without a .pdf path
+            sendResponse({ ready: true, contentType: document.contentType });
             return true;
 
         default:
@@ -383,51 +1075,158 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 /**
- * Observe page changes for dynamic content
+ * Key identifying a route; plain #anchors are the same route, #/ and #! hashes are not
+ * @param {string} url - Page URL
+ * @returns {string} Route key
+ */
+function getRouteKey(url) {
+    try {
+        const parsed = new URL(url);
+        if (!/^#[/!]/.test(parsed.hash)) parsed.hash = '';
+        return parsed.href;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Decide whether re-extracted content differs enough to tell the sidepanel
+ * @param {Object|null} previous - Page data from the last extraction
+ * @param {Object} next - Freshly extracted page data
+ * @returns {boolean} True for a significant change
  */
-function observePageChanges() {
+function isSignificantContentChange(previous, next) {
+    if (!previous) return true;
+
+    const previousHeadings = previous.headings.map(heading => heading.text).join('\n');
+    const nextHeadings = next.headings.map(heading => heading.text).join('\n');
+    if (previousHeadings !== nextHeadings) return true;
+
+    const lengthDelta = Math.abs(next.contentLength - previous.contentLength);
+    return lengthDelta / Math.max(previous.contentLength, 1) > CONTENT_CHANGE_RATIO;
+}
+
+/**
+ * Re-extract after a route change or content change and notify the background
+ * @param {string} reason - 'route' or 'content'
+ */
+async function refreshAfterChange(reason) {
+    if (!(await isExtensionEnabled())) return;
+    if (isInternalUrl(window.location.href)) return;
+
+    // In on-demand mode, follow-up extractions only happen once the user asked for the first one
+    const { access } = await getPageAccess();
+    if (access === 'blocked' || (access === 'on-demand' && !lastPageData)) return;
+
+    try {
+        const previous = lastPageData;
+        await loadMediaTranscripts();
+        const pageData = await extractPageDataInSlices();
+        const routeChanged = !previous || getRouteKey(previous.url) !== getRouteKey(pageData.url);
+
+        if (reason === 'content' && !routeChanged && !isSignificantContentChange(previous, pageData)) {
+            return;
+        }
+
+        lastPageData = pageData;
+        console.log('[Little Elf] Page changed, re-extracted:', routeChanged ? 'route' : 'content');
+
+        await chrome.runtime.sendMessage({
+            type: 'CONTENT_UPDATED',
+            reason: routeChanged ? 'route' : 'content',
+            previousUrl: previous?.url || null,
+            data: pageData,
+        });
+    } catch (error) {
+        console.error('[Little Elf] Re-extraction failed:', error);
+    }
+}
+
+/**
+ * Check for a route change once the new view has had time to render
+ */
+function scheduleRouteCheck() {
+    if (routeCheckTimer) clearTimeout(routeCheckTimer);
+
+    routeCheckTimer = setTimeout(() => {
+        routeCheckTimer = null;
+        if (!lastPageData || getRouteKey(lastPageData.url) !== getRouteKey(window.location.href)) {
+            refreshAfterChange('route');
+        }
+    }, ROUTE_SETTLE_DELAY);
+}
+
+// Live mutation observer, only while a chat is watching the page
+let pageObserver = null;
+let pageWatchers = 0;
+
+/**
+ * Observe page content changes, and DOM swaps that change the route without a history event
+ */
+function startObservingPage() {
+    if (pageObserver) return;
+
     let debounceTimer = null;
+    let significantChange = false;
+
+    pageObserver = new MutationObserver((mutations) => {
+        // Remember significant batches across the debounce window
+        significantChange = significantChange || mutations.some(mutation => {
+            return mutation.addedNodes.length > 5 ||
+                mutation.removedNodes.length > 5 ||
+                (mutation.target.tagName === 'ARTICLE') ||
+                (mutation.target.tagName === 'MAIN');
+        });
+
+        // Some routers swap the DOM without any history event we can see
+        if (lastPageData && getRouteKey(lastPageData.url) !== getRouteKey(window.location.href)) {
+            scheduleRouteCheck();
+        }
 
-    const observer = new MutationObserver((mutations) => {
         // Debounce updates
         if (debounceTimer) clearTimeout(debounceTimer);
 
-        debounceTimer = setTimeout(async () => {
-            // Check if significant content changed
-            const significantChange = mutations.some(mutation => {
-                return mutation.addedNodes.length > 5 ||
-                    mutation.removedNodes.length > 5 ||
-                    (mutation.target.tagName === 'ARTICLE') ||
-                    (mutation.target.tagName === 'MAIN');
-            });
-
+        debounceTimer = setTimeout(() => {
             if (significantChange) {
                 console.log('[Little Elf] Significant content change detected');
-                // Notify background of content update
-                chrome.runtime.sendMessage({ type: 'CONTENT_UPDATED' }).catch(() => { });
+                refreshAfterChange('content');
             }
+            significantChange = false;
         }, 2000);
     });
 
-    observer.observe(document.body, {
+    pageObserver.observe(document.body, {
         childList: true,
         subtree: true,
     });
 }
 
-// Run extraction when document is ready
-if (document.readyState === 'complete') {
-    setTimeout(() => {
-        runExtraction();
-        observePageChanges();
-    }, 500);
-} else {
-    window.addEventListener('load', () => {
-        setTimeout(() => {
-            runExtraction();
-            observePageChanges();
-        }, 500);
-    });
+/**
+ * Stop observing page content changes
+ */
+function stopObservingPage() {
+    pageObserver?.disconnect();
+    pageObserver = null;
 }
 
-console.log('[Little Elf] Enhanced content script loaded');
+// An open chat holds a port to the page; the observer and selection reports run only while one does
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== PAGE_WATCH_PORT) return;
+
+    pageWatchers++;
+    startObservingPage();
+    watchSelection(port);
+
+    port.onDisconnect.addListener(() => {
+        pageWatchers--;
+        if (pageWatchers === 0) stopObservingPage();
+    });
+});
+
+// History navigation is visible to content scripts; pushState is reported by the background
+window.addEventListener('popstate', scheduleRouteCheck);
+window.addEventListener('hashchange', scheduleRouteCheck);
+window.navigation?.addEventListener('navigatesuccess', scheduleRouteCheck);
+
+// Loaded on demand by stub.js or a request; extraction itself is started by whoever loaded it
+console.log('[Little Elf] Extractor loaded');
@@ -0,0 +1,209 @@
+/**
+ * Little Elf - Extraction Debug Overlay
+ * Outlines what extraction picked and dropped, and shows the data it extracts. This is
+ * before the sidepanel redacts it and splits long pages into parts for upload.
+ */
+
+const DEBUG_OVERLAY_ID = 'little-elf-debug-overlay';
+
+const DEBUG_OVERLAY_STYLES = `
+    :host { all: initial; }
+    .layer { position: absolute; top: 0; left: 0; width: 0; height: 0; pointer-events: none; }
+    .box { position: absolute; box-sizing: border-box; border-radius: 2px; }
+    .box.main { outline: 3px solid #4ade80; background: rgba(74, 222, 128, 0.06); }
+    .box.excluded { outline: 2px dashed #ee3c30; background: rgba(238, 60, 48, 0.12); }
+    .box.included { outline: 2px dashed #60a5fa; background: rgba(96, 165, 250, 0.08); }
+    .box.hidden { outline: 2px dotted #c084fc; background: rgba(192, 132, 252, 0.12); }
+    .viewer {
+        position: fixed; right: 16px; bottom: 16px; width: 420px; max-width: calc(100vw - 32px);
+        height: 60vh; display: flex; flex-direction: column; pointer-events: auto;
+        background: #111111; color: #ffffff; border: 1px solid #333333; border-radius: 12px;
+        box-shadow: 0 12px 40px rgba(0, 0, 0, 0.5);
+        font: 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    }
+    .header { display: flex; align-items: center; gap: 8px; padding: 10px 12px; border-bottom: 2px solid #ee3c30; }
+    .title { flex: 1; font-weight: 700; }
+    .legend { display: flex; flex-wrap: wrap; gap: 12px; padding: 8px 12px; color: #a3a3a3; font-size: 12px; }
+    .legend span::before { content: ''; display: inline-block; width: 10px; height: 10px; margin-right: 6px; border-radius: 2px; vertical-align: -1px; }
+    .legend .main::before { background: #4ade80; }
+    .legend .excluded::before { background: #ee3c30; }
+    .legend .included::before { background: #60a5fa; }
+    .legend .hidden::before { background: #c084fc; }
+    .note { padding: 0 12px 8px; color: #a3a3a3; font-size: 12px; }
+    .tabs { display: flex; gap: 6px; padding: 0 12px 8px; }
+    button { font: inherit; color: inherit; cursor: pointer; background: #1a1a1a; border: 1px solid #333333; border-radius: 6px; padding: 4px 10px; }
+    button:hover, button.active { border-color: #ee3c30; color: #ee3c30; }
+    .close { border: none; background: none; font-size: 18px; line-height: 1; padding: 0 4px; }
+    pre { flex: 1; margin: 0; padding: 12px; overflow: auto; white-space: pre-wrap; word-break: break-word; background: #0a0a0a; border-radius: 0 0 12px 12px; font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; }
+`;
+
+// Live overlay state, null while hidden
+let debugOverlay = null;
+
+/**
+ * Build an element with a class name and optional text
+ * @param {string} tagName - Tag to create
+ * @param {string} className - Class name
+ * @param {string} [text] - Text content
+ * @returns {Element} New element
+ */
+function createOverlayElement(tagName, className, text = '') {
+    const element = document.createElement(tagName);
+    element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+/**
+ * Position one outline box per region over the live page
+ */
+function drawDebugBoxes() {
+    if (!debugOverlay) return;
+
+    debugOverlay.layer.replaceChildren();
+
+    Object.entries(debugOverlay.regions).forEach(([role, regionElements]) => {
+        regionElements.forEach((element) => {
+            // Frame contents live in another viewport
+            if (element.ownerDocument !== document || !element.isConnected) return;
+
+            const rect = element.getBoundingClientRect();
+            if (rect.width === 0 && rect.height === 0) return;
+
+            const box = createOverlayElement('div', `box ${role}`);
+            box.style.top = `${rect.top + window.scrollY}px`;
+            box.style.left = `${rect.left + window.scrollX}px`;
+            box.style.width = `${rect.width}px`;
+            box.style.height = `${rect.height}px`;
+            debugOverlay.layer.appendChild(box);
+        });
+    });
+}
+
+/**
+ * Show the text or all the extracted data in the viewer
+ * @param {string} view - "content" or "payload"
+ */
+function showDebugView(view) {
+    if (!debugOverlay) return;
+
+    debugOverlay.view = view;
+    debugOverlay.output.textContent = view === 'content' ?
+        debugOverlay.data.content :
+        JSON.stringify(debugOverlay.data, null, 2);
+
+    debugOverlay.tabs.forEach((tab) => {
+        tab.classList.toggle('active', tab.dataset.view === view);
+    });
+}
+
+/**
+ * Copy what the viewer is showing
+ * @param {HTMLButtonElement} button - Copy button, used for feedback
+ */
+async function copyDebugView(button) {
+    try {
+        await navigator.clipboard.writeText(debugOverlay.output.textContent);
+        button.textContent = 'Copied';
+    } catch (error) {
+        console.error('[Little Elf] Error copying extracted data:', error);
+        button.textContent = 'Copy failed';
+    }
+    setTimeout(() => {
+        button.textContent = 'Copy';
+    }, 1500);
+}
+
+/**
+ * Show the debug overlay for the current page
+ */
+function showDebugOverlay() {
+    hideDebugOverlay();
+
+    const data = extractPageData();
+    const regions = locateExtractionRegions();
+
+    // Attached outside body so the page observer and extraction never see it
+    const host = document.createElement('div');
+    host.id = DEBUG_OVERLAY_ID;
+    host.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;';
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = DEBUG_OVERLAY_STYLES;
+
+    const layer = createOverlayElement('div', 'layer');
+    const viewer = createOverlayElement('div', 'viewer');
+
+    const header = createOverlayElement('div', 'header');
+    const copyBtn = createOverlayElement('button', 'copy', 'Copy');
+    const closeBtn = createOverlayElement('button', 'close', '×');
+    closeBtn.title = 'Close';
+    copyBtn.addEventListener('click', () => copyDebugView(copyBtn));
+    closeBtn.addEventListener('click', hideDebugOverlay);
+    header.append(createOverlayElement('span', 'title', 'What Little Elf sees'), copyBtn, closeBtn);
+
+    const legend = createOverlayElement('div', 'legend');
+    legend.append(
+        createOverlayElement('span', 'main', `Main content (${regions.main.length})`),
+        createOverlayElement('span', 'excluded', `Excluded (${regions.excluded.length})`),
+    );
+    if (regions.included.length > 0) {
+        legend.append(createOverlayElement('span', 'included', `Always included (${regions.included.length})`));
+    }
+    if (regions.hidden.length > 0) {
+        legend.append(createOverlayElement('span', 'hidden', `Hidden text (${regions.hidden.length})`));
+    }
+    if (data.safety.injectionCount > 0) {
+        legend.append(createOverlayElement('span', 'warning', `⚠ ${data.safety.injectionCount} injection attempt(s)`));
+    }
+    legend.append(createOverlayElement('span', 'count', `${data.contentLength.toLocaleString()} chars`));
+
+    // The sidepanel redacts and splits the page on upload, so what it sends can differ
+    const note = createOverlayElement('div', 'note', 'Extracted, before redaction and splitting into parts for upload');
+
+    const tabBar = createOverlayElement('div', 'tabs');
+    const tabs = [['content', 'Text'], ['payload', 'All data']].map(([view, label]) => {
+        const tab = createOverlayElement('button', 'tab', label);
+        tab.dataset.view = view;
+        tab.addEventListener('click', () => showDebugView(view));
+        return tab;
+    });
+    tabBar.append(...tabs);
+
+    const output = document.createElement('pre');
+
+    viewer.append(header, legend, note, tabBar, output);
+    shadow.append(style, layer, viewer);
+    document.documentElement.appendChild(host);
+
+    debugOverlay = { host, layer, output, tabs, data, regions, view: 'content' };
+    window.addEventListener('resize', drawDebugBoxes);
+
+    drawDebugBoxes();
+    showDebugView('content');
+}
+
+/**
+ * Remove the debug overlay
+ */
+function hideDebugOverlay() {
+    if (!debugOverlay) return;
+
+    window.removeEventListener('resize', drawDebugBoxes);
+    debugOverlay.host.remove();
+    debugOverlay = null;
+}
+
+/**
+ * Toggle the debug overlay
+ * @returns {boolean} True if the overlay is now visible
+ */
+function toggleDebugOverlay() {
+    if (debugOverlay) {
+        hideDebugOverlay();
+        return false;
+    }
+    showDebugOverlay();
+    return true;
+}
@@ -0,0 +1,405 @@
+/**
+ * Little Elf - Markdown Serializer
+ * Converts cleaned page DOM into Markdown so structure survives extraction
+ */
+
+// Elements rendered as their own block
+const MARKDOWN_BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+    'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL',
+]);
+
+// Selector matching any block element, for spotting wrappers around blocks
+const MARKDOWN_BLOCK_SELECTOR = Array.from(MARKDOWN_BLOCK_TAGS).join(', ').toLowerCase();
+
+// Elements whose content is never serialized
+const MARKDOWN_SKIP_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA',
+]);
+
+// Class name patterns that carry a code block's language
+const CODE_LANGUAGE_PATTERNS = [
+    /(?:^|\s)lang(?:uage)?-([\w+#-]+)/i,
+    /(?:^|\s)highlight-(?:source-)?([\w+#-]+)/i,
+    /(?:^|\s)brush:\s*([\w+#-]+)/i,
+    // highlight.js before v10 and Pandoc put the bare language next to their marker class
+    /(?:^|\s)(?:hljs|sourceCode)\s+(?!hljs|sourceCode)([\w+#-]+)/i,
+];
+
+// Class names that look like a language but are not
+const CODE_LANGUAGE_IGNORED = new Set(['none', 'plaintext', 'text', 'nohighlight', 'notranslate', 'default']);
+
+/**
+ * Detect the language of a code block from class names and data attributes on it or its wrappers
+ * @param {Element} element - The pre or code element
+ * @returns {string} Language name or empty string
+ */
+function detectCodeLanguage(element) {
+    // Sphinx and GitHub put the language two levels up (div.highlight-python > div.highlight > pre)
+    const candidates = [
+        element,
+        element.querySelector?.('code'),
+        element.parentElement,
+        element.parentElement?.parentElement,
+    ].filter(Boolean);
+
+    for (const candidate of candidates) {
+        const className = candidate.getAttribute('class') || '';
+        for (const pattern of CODE_LANGUAGE_PATTERNS) {
+            const match = className.match(pattern);
+            if (match && !CODE_LANGUAGE_IGNORED.has(match[1].toLowerCase())) return match[1].toLowerCase();
+        }
+
+        const dataLanguage = candidate.getAttribute('data-lang') || candidate.getAttribute('data-language');
+        if (dataLanguage && !CODE_LANGUAGE_IGNORED.has(dataLanguage.toLowerCase())) return dataLanguage.toLowerCase();
+    }
+
+    return '';
+}
+
+/**
+ * Check whether code text is only a line-number gutter ("1\n2\n3"), which highlighters render as its own pre
+ * @param {string} code - Code block text
+ * @returns {boolean} True for a run of consecutive line numbers
+ */
+function isLineNumberGutter(code) {
+    const lines = code.trim().split(/\s+/);
+    if (lines.length < 2) return false;
+    const first = Number(lines[0]);
+    return Number.isInteger(first) && lines.every((line, index) => line === String(first + index));
+}
+
+/**
+ * Check whether a node is rendered as a block
+ * @param {Node} node - Node to check
+ * @returns {boolean} True for block-level elements
+ */
+function isBlockNode(node) {
+    return node.nodeType === Node.ELEMENT_NODE && MARKDOWN_BLOCK_TAGS.has(node.tagName);
+}
+
+/**
+ * Check whether a node has block-level descendants
+ * @param {Node} node - Node to check
+ * @returns {boolean} True if any descendant is a block element
+ */
+function containsBlockNode(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.querySelector(MARKDOWN_BLOCK_SELECTOR) !== null;
+}
+
+/**
+ * Resolve a link to an absolute URL worth keeping
+ * @param {Element} link - Anchor element
+ * @returns {string} Absolute URL or empty string for in-page and script links
+ */
+function resolveLinkUrl(link) {
+    const href = link.getAttribute('href');
+    if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return '';
+
+    try {
+        return new URL(href, document.baseURI).href;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Wrap inline text in a Markdown marker, keeping surrounding spaces outside it
+ * @param {string} text - Inline text
+ * @param {string} marker - Markdown marker such as ** or `
+ * @returns {string} Wrapped text
+ */
+function wrapInline(text, marker) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return text;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+/**
+ * Serialize inline content of a node
+ * @param {Node} node - Node to serialize
+ * @returns {string} Inline Markdown
+ */
+function serializeInline(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, ' ');
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE || MARKDOWN_SKIP_TAGS.has(node.tagName.toUpperCase())) {
+        return '';
+    }
+
+    const children = () => Array.from(node.childNodes).map(serializeInline).join('');
+
+    switch (node.tagName) {
+        case 'BR':
+            return '\n';
+
+        case 'STRONG':
+        case 'B':
+            return wrapInline(children(), '**');
+
+        case 'EM':
+        case 'I':
+            return wrapInline(children(), '*');
+
+        case 'DEL':
+        case 'S':
+        case 'STRIKE':
+            return wrapInline(children(), '~~');
+
+        case 'CODE':
+        case 'KBD':
+        case 'SAMP': {
+            const code = node.textContent.replace(/\s+/g, ' ');
+            const fence = code.includes('`') ? '``' : '`';
+            return code.trim() ? `${fence}${code}${fence}` : code;
+        }
+
+        case 'A': {
+            const text = children();
+            const url = resolveLinkUrl(node);
+            if (!url || !text.trim()) return text;
+            if (text.trim() === url) return url;
+            return `[${text.trim()}](${url})`;
+        }
+
+        case 'IMG':
+            // The image itself is never uploaded, so only its description is kept
+            return node.getAttribute('alt')?.trim() || '';
+
+        default:
+            return children();
+    }
+}
+
+/**
+ * Clean up a serialized inline run
+ * @param {string} text - Inline Markdown
+ * @returns {string} Trimmed text with tidy line breaks
+ */
+function tidyInline(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/ {2,}/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+/**
+ * Prefix every line of a block
+ * @param {string} text - Block text
+ * @param {string} firstPrefix - Prefix for the first line
+ * @param {string} restPrefix - Prefix for following lines
+ * @returns {string} Prefixed text
+ */
+function prefixLines(text, firstPrefix, restPrefix = firstPrefix) {
+    return text
+        .split('\n')
+        .map((line, index) => {
+            const prefix = index === 0 ? firstPrefix : restPrefix;
+            return line.length > 0 ? prefix + line : prefix.trimEnd();
+        })
+        .join('\n');
+}
+
+/**
+ * Serialize a list element
+ * @param {Element} list - ul or ol element
+ * @returns {string} Markdown list
+ */
+function serializeList(list) {
+    const ordered = list.tagName === 'OL';
+    let index = parseInt(list.getAttribute('start'), 10);
+    if (isNaN(index)) index = 1;
+
+    const items = Array.from(list.children)
+        .filter(child => child.tagName === 'LI')
+        .map((item) => {
+            const marker = ordered ? `${index++}. ` : '- ';
+            const body = serializeBlocks(item).join('\n') || '';
+            return prefixLines(body, marker, ' '.repeat(marker.length));
+        })
+        .filter(item => item.trim().length > 0);
+
+    return items.join('\n');
+}
+
+/**
+ * Escape a table cell for a Markdown table
+ * @param {string} text - Cell text
+ * @returns {string} Escaped cell text
+ */
+function escapeTableCell(text) {
+    return text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim();
+}
+
+/**
+ * Serialize a table element as a GFM table
+ * @param {Element} table - Table element
+ * @returns {string} Markdown table
+ */
+function serializeTable(table) {
+    const cellToMarkdown = cell => escapeTableCell(tidyInline(serializeInline(cell)));
+    const { grid, headerRowCount } = buildTableGrid(table, cellToMarkdown);
+
+    const rows = grid.filter(row => row.some(cell => cell.length > 0));
+    if (rows.length === 0) return '';
+
+    // GFM tables have exactly one header row
+    const header = headerRowCount > 0 ?
+        mergeHeaderRows(grid.slice(0, headerRowCount)) :
+        rows[0];
+    const body = headerRowCount > 0 ? grid.slice(headerRowCount) : rows.slice(1);
+
+    const toLine = row => `| ${row.join(' | ')} |`;
+    const lines = [
+        toLine(header),
+        toLine(header.map(() => '---')),
+        ...body.filter(row => row.some(cell => cell.length > 0)).map(toLine),
+    ];
+
+    const caption = table.caption ? tidyInline(serializeInline(table.caption)) : '';
+    return caption ? `**${caption}**\n\n${lines.join('\n')}` : lines.join('\n');
+}
+
+/**
+ * Serialize a layout table as the plain blocks of its cells
+ * @param {Element} table - Table element
+ * @returns {string} Markdown blocks
+ */
+function serializeLayoutTable(table) {
+    const blocks = [];
+    Array.from(table.rows).forEach((row) => {
+        Array.from(row.cells).forEach((cell) => {
+            blocks.push(...serializeBlocks(cell));
+        });
+    });
+    return blocks.join('\n\n');
+}
+
+/**
+ * Serialize a pre element as a fenced code block
+ * @param {Element} pre - Pre element
+ * @returns {string} Fenced code block
+ */
+function serializeCodeBlock(pre) {
+    const code = pre.textContent.replace(/\n+$/, '');
+    if (!code.trim() || isLineNumberGutter(code)) return '';
+
+    const language = detectCodeLanguage(pre);
+    const fence = code.includes('```') ? '````' : '```';
+    return `${fence}${language}\n${code}\n${fence}`;
+}
+
+/**
+ * Serialize an expanded frame, labeled with its source
+ * @param {Element} container - Frame container from cloneComposed()
+ * @returns {string} Labeled Markdown blocks
+ */
+function serializeFrame(container) {
+    const body = serializeBlocks(container).join('\n\n');
+    if (!body) return '';
+
+    const source = container.getAttribute('data-elf-frame-source');
+    const title = container.getAttribute('data-elf-frame-title');
+    const label = title ? `${title} (${source})` : source;
+
+    return `[Embedded frame: ${label}]\n\n${body}\n\n[End of embedded frame]`;
+}
+
+/**
+ * Serialize a single block element
+ * @param {Element} element - Block element
+ * @returns {string} Markdown block
+ */
+function serializeBlock(element) {
+    if (element.hasAttribute('data-elf-frame-source')) {
+        return serializeFrame(element);
+    }
+
+    switch (element.tagName) {
+        case 'H1':
+        case 'H2':
+        case 'H3':
+        case 'H4':
+        case 'H5':
+        case 'H6': {
+            const text = tidyInline(serializeInline(element)).replace(/\n/g, ' ');
+            return text ? `${'#'.repeat(parseInt(element.tagName.charAt(1)))} ${text}` : '';
+        }
+
+        case 'P':
+        case 'DT':
+        case 'SUMMARY':
+        case 'FIGCAPTION':
+            return tidyInline(serializeInline(element));
+
+        case 'UL':
+        case 'OL':
+            return serializeList(element);
+
+        case 'TABLE':
+            return isLayoutTable(element) ? serializeLayoutTable(element) : serializeTable(element);
+
+        case 'PRE':
+            return serializeCodeBlock(element);
+
+        case 'BLOCKQUOTE': {
+            const body = serializeBlocks(element).join('\n\n');
+            return body ? prefixLines(body, '> ') : '';
+        }
+
+        case 'HR':
+            return '---';
+
+        default:
+            return serializeBlocks(element).join('\n\n');
+    }
+}
+
+/**
+ * Serialize the children of a container as a list of Markdown blocks
+ * @param {Element} container - Container element
+ * @returns {string[]} Markdown blocks
+ */
+function serializeBlocks(container) {
+    const blocks = [];
+    let inlineRun = '';
+
+    const flushInline = () => {
+        const text = tidyInline(inlineRun);
+        if (text) blocks.push(text);
+        inlineRun = '';
+    };
+
+    container.childNodes.forEach((child) => {
+        if (child.nodeType === Node.ELEMENT_NODE && MARKDOWN_SKIP_TAGS.has(child.tagName.toUpperCase())) return;
+
+        if (isBlockNode(child)) {
+            flushInline();
+            const block = serializeBlock(child);
+            if (block.trim()) blocks.push(block);
+        } else if (containsBlockNode(child)) {
+            // Inline wrappers and custom elements around blocks act as containers
+            flushInline();
+            blocks.push(...serializeBlocks(child));
+        } else {
+            inlineRun += serializeInline(child);
+        }
+    });
+
+    flushInline();
+    return blocks;
+}
+
+/**
+ * Convert an element to Markdown
+ * @param {Element} element - Root element (usually a cleaned clone)
+ * @returns {string} Markdown text
+ */
+function elementToMarkdown(element) {
+    return serializeBlock(element).replace(/\n{3,}/g, '\n\n').trim();
+}
@@ -0,0 +1,327 @@
+/**
+ * Little Elf - Transcript Extractor
+ * Reads caption tracks (WebVTT/SRT) and on-page transcript panels into timestamped cues
+ */
+
+// Limits for media on a single page
+const MAX_MEDIA_ELEMENTS = 10;
+const MIN_TRANSCRIPT_SEGMENTS = 2;
+
+// Containers that commonly hold a visible transcript
+const TRANSCRIPT_CONTAINER_SELECTORS = [
+    '[class*="transcript" i]',
+    '[id*="transcript" i]',
+    '[aria-label*="transcript" i]',
+    '[data-testid*="transcript" i]',
+    'ytd-transcript-renderer',
+];
+
+// "1:23", "01:02:03" or "1:23.500" at the start of a text run
+const TRANSCRIPT_TIMESTAMP_PATTERN = /^\[?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\]?\s*/;
+
+// Parsed caption files by absolute track URL, filled by loadMediaTranscripts()
+const transcriptCache = new Map();
+
+/**
+ * Convert a cue or transcript timestamp to seconds
+ * @param {string} value - "hh:mm:ss.ttt", "mm:ss.ttt" or SRT "hh:mm:ss,ttt"
+ * @returns {number|null} Seconds, or null if unparseable
+ */
+function parseTimestamp(value) {
+    const match = (value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+    if (!match) return null;
+
+    const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Format seconds as m:ss or h:mm:ss
+ * @param {number} totalSeconds - Seconds from the start
+ * @returns {string} Timestamp
+ */
+function formatTimestamp(totalSeconds) {
+    const whole = Math.floor(totalSeconds);
+    const hours = Math.floor(whole / 3600);
+    const minutes = Math.floor((whole % 3600) / 60);
+    const seconds = String(whole % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Turn cue payload markup into plain text, keeping WebVTT voice names
+ * @param {string} text - Cue payload
+ * @returns {string} Plain text
+ */
+function cleanCueText(text) {
+    return text
+        .replace(/<v(?:\.[\w.-]+)?\s+([^>]+)>/g, '$1: ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Merge cues that repeat the previous cue's text, as rolling captions do
+ * @param {Array<Object>} cues - Cues in order
+ * @returns {Array<Object>} Merged cues
+ */
+function mergeRepeatedCues(cues) {
+    const merged = [];
+    cues.forEach((cue) => {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.text === cue.text) {
+            previous.end = Math.max(previous.end ?? cue.end, cue.end ?? previous.end);
+        } else {
+            merged.push({ ...cue });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Parse a WebVTT or SRT caption file
+ * @param {string} source - File contents
+ * @returns {Array<Object>} Cues with start, end and text
+ */
+function parseCaptionFile(source) {
+    const cues = [];
+    const blocks = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    blocks.forEach((block) => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        // Skips the WEBVTT header and NOTE, STYLE and REGION blocks
+        if (timingIndex === -1) return;
+
+        const [startText, endText] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText);
+        const end = parseTimestamp(endText.trim().split(/\s+/)[0]);
+        const text = cleanCueText(lines.slice(timingIndex + 1).join(' '));
+
+        if (start !== null && text) {
+            cues.push({ start, end, text });
+        }
+    });
+
+    return mergeRepeatedCues(cues);
+}
+
+/**
+ * Read cues the browser has already loaded for a track, whatever its origin
+ * @param {TextTrack|null} textTrack - The track element's TextTrack
+ * @returns {Array<Object>} Cues with start, end and text
+ */
+function readLoadedCues(textTrack) {
+    if (!textTrack?.cues) return [];
+
+    const cues = Array.from(textTrack.cues).map((cue) => ({
+        start: cue.startTime,
+        end: cue.endTime,
+        text: cleanCueText(cue.text || ''),
+    }));
+    return mergeRepeatedCues(cues.filter(cue => cue.text));
+}
+
+/**
+ * Resolve a track URL we are allowed to fetch
+ * @param {HTMLTrackElement} track - Track element
+ * @returns {string} Absolute same-origin URL, or empty string
+ */
+function getTrackUrl(track) {
+    const src = track.getAttribute('src');
+    if (!src) return '';
+
+    try {
+        const url = new URL(src, document.baseURI);
+        const sameOrigin = url.origin === window.location.origin || url.protocol === 'blob:' || url.protocol === 'data:';
+        return sameOrigin ? url.href : '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Choose the caption track to read for a media element
+ * @param {HTMLMediaElement} media - Video or audio element
+ * @returns {HTMLTrackElement|null} Default track, one in the page language, or the first one
+ */
+function chooseCaptionTrack(media) {
+    const tracks = Array.from(media.querySelectorAll('track')).filter((track) => {
+        // A missing kind means subtitles
+        const kind = (track.getAttribute('kind') || 'subtitles').toLowerCase();
+        return kind === 'captions' || kind === 'subtitles';
+    });
+    if (tracks.length === 0) return null;
+
+    const pageLanguage = (document.documentElement.lang || navigator.language || '').toLowerCase().split('-')[0];
+    return tracks.find(track => track.default) ||
+        tracks.find(track => (track.srclang || '').toLowerCase().split('-')[0] === pageLanguage) ||
+        tracks[0];
+}
+
+/**
+ * Get the media elements whose captions we read
+ * @returns {HTMLMediaElement[]} Video and audio elements
+ */
+function getMediaElements() {
+    return Array.from(document.querySelectorAll('video, audio')).slice(0, MAX_MEDIA_ELEMENTS);
+}
+
+/**
+ * Fetch and parse the chosen caption track of every media element into the cache
+ */
+async function loadMediaTranscripts() {
+    const urls = getMediaElements()
+        .map(chooseCaptionTrack)
+        .filter(Boolean)
+        .map(getTrackUrl)
+        .filter(url => url && !transcriptCache.has(url));
+
+    await Promise.all(urls.map(async (url) => {
+        try {
+            const response = await fetch(url, { credentials: 'same-origin' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            transcriptCache.set(url, parseCaptionFile(await response.text()));
+        } catch (error) {
+            console.warn('[Little Elf] Could not load caption track:', url, error);
+            transcriptCache.set(url, []);
+        }
+    }));
+}
+
+/**
+ * Build a URL template that jumps to a moment, with {seconds} as the placeholder
+ * @param {HTMLMediaElement} [media] - Media element the transcript belongs to
+ * @returns {string} Link template, or empty string if there is no way to link a moment
+ */
+function getTimestampLinkTemplate(media) {
+    const page = new URL(window.location.href);
+
+    if (/(^|\.)youtube\.com$/.test(page.hostname) && page.searchParams.get('v')) {
+        return `${page.origin}/watch?v=${encodeURIComponent(page.searchParams.get('v'))}&t={seconds}s`;
+    }
+    if (page.hostname === 'youtu.be') {
+        return `${page.origin}${page.pathname}?t={seconds}`;
+    }
+
+    // Media fragments work on direct media URLs
+    const src = media?.currentSrc || media?.src || '';
+    if (/^https?:/.test(src)) {
+        return `${src.split('#')[0]}#t={seconds}`;
+    }
+
+    return '';
+}
+
+/**
+ * Collect transcripts from the caption tracks of video and audio elements
+ * @returns {Array<Object>} Transcripts with source, label, language, linkTemplate and cues
+ */
+function extractCaptionTranscripts() {
+    const transcripts = [];
+
+    getMediaElements().forEach((media, mediaIndex) => {
+        const track = chooseCaptionTrack(media);
+        if (!track) return;
+
+        const url = getTrackUrl(track);
+        const cues = (url && transcriptCache.get(url)?.length) ? transcriptCache.get(url) : readLoadedCues(track.track);
+        if (cues.length === 0) return;
+
+        const kind = (track.getAttribute('kind') || 'subtitles').toLowerCase();
+        transcripts.push({
+            source: 'captions',
+            label: track.label || `${media.tagName === 'AUDIO' ? 'Audio' : 'Video'} ${mediaIndex + 1} ${kind}`,
+            language: track.srclang || '',
+            linkTemplate: getTimestampLinkTemplate(media),
+            cues,
+        });
+    });
+
+    return transcripts;
+}
+
+/**
+ * Read timestamped segments from a transcript container
+ * @param {Element} container - Transcript panel
+ * @returns {Array<Object>} Cues with start and text
+ */
+function readTranscriptSegments(container) {
+    const segments = [];
+    let current = null;
+
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        let text = walker.currentNode.textContent.replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+
+        // Timestamps come either in their own element or at the start of the segment text
+        const match = text.match(TRANSCRIPT_TIMESTAMP_PATTERN);
+        const start = match ? parseTimestamp(match[1]) : null;
+        if (start !== null) {
+            current = { start, end: null, text: '' };
+            segments.push(current);
+            text = text.substring(match[0].length);
+        }
+
+        if (current && text) {
+            current.text = current.text ? `${current.text} ${text}` : text;
+        }
+    }
+
+    return mergeRepeatedCues(segments.filter(segment => segment.text));
+}
+
+/**
+ * Collect visible transcript panels and take them out of the tree so they are not repeated as page text
+ * @param {Element} root - Composed page body
+ * @returns {Array<Object>} Transcripts with source, label, language, linkTemplate and cues
+ */
+function extractTranscriptPanels(root) {
+    const panels = [];
+
+    querySelectorsSafely(root, TRANSCRIPT_CONTAINER_SELECTORS).forEach((container) => {
+        const cues = readTranscriptSegments(container);
+        if (cues.length >= MIN_TRANSCRIPT_SEGMENTS) panels.push({ container, cues });
+    });
+
+    // Keep the innermost panel when wrappers also match
+    const innermost = panels.filter(panel => {
+        return !panels.some(other => other !== panel && panel.container.contains(other.container));
+    });
+
+    const media = getMediaElements()[0];
+    return innermost.map(({ container, cues }, index) => {
+        // The composed body is a copy, so a lang set on <html> is only on the live page
+        const language = container.closest('[lang]')?.getAttribute('lang') || document.documentElement.lang || '';
+        container.remove();
+        return {
+            source: 'transcript',
+            label: container.getAttribute('aria-label') || `On-page transcript ${index + 1}`,
+            language,
+            linkTemplate: getTimestampLinkTemplate(media),
+            cues,
+        };
+    });
+}
+
+/**
+ * Render a transcript as timestamped lines
+ * @param {Object} transcript - Transcript from extractCaptionTranscripts() or extractTranscriptPanels()
+ * @returns {string} Labeled transcript text
+ */
+function formatTranscript(transcript) {
+    const label = /transcript/i.test(transcript.label) ? transcript.label : `Transcript: ${transcript.label}`;
+    const header = [`[${label}]`];
+    if (transcript.linkTemplate) {
+        header.push(`[Link to a moment: ${transcript.linkTemplate}]`);
+    }
+
+    const lines = transcript.cues.map(cue => `[${formatTimestamp(cue.start)}] ${cue.text}`);
+    return `${header.join('\n')}\n${lines.join('\n')}`;
+}
@@ -0,0 +1,207 @@
+/**
+ * Little Elf - Metadata Extractor
+ * Collects JSON-LD, OpenGraph, Twitter card, author, dates, canonical URL and language
+ */
+
+// Limits for structured data carried with the page
+const MAX_JSON_LD_ENTITIES = 20;
+const MAX_JSON_LD_ENTITY_LENGTH = 10000;
+
+/**
+ * Read the content attribute of the first matching meta tag
+ * @param {string[]} selectors - Meta selectors in priority order
+ * @returns {string} Content or empty string
+ */
+function getMetaContent(selectors) {
+    for (const selector of selectors) {
+        const content = document.querySelector(selector)?.getAttribute('content')?.trim();
+        if (content) return content;
+    }
+    return '';
+}
+
+/**
+ * Collect meta tags sharing a prefix into an object
+ * @param {string} prefix - Prefix such as "og:" or "twitter:"
+ * @returns {Object} Values keyed by the name without prefix
+ */
+function collectPrefixedMeta(prefix) {
+    const values = {};
+
+    document.querySelectorAll('meta[property], meta[name]').forEach((meta) => {
+        const key = meta.getAttribute('property') || meta.getAttribute('name') || '';
+        const content = meta.getAttribute('content')?.trim();
+        if (!content || !key.toLowerCase().startsWith(prefix)) return;
+
+        const name = key.substring(prefix.length);
+        // Repeated tags (og:image, article:tag) become arrays
+        if (values[name] === undefined) {
+            values[name] = content;
+        } else if (Array.isArray(values[name])) {
+            values[name].push(content);
+        } else {
+            values[name] = [values[name], content];
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Parse JSON-LD blocks into a flat list of entities
+ * @returns {Array<Object>} JSON-LD entities that have a @type
+ */
+function extractJsonLd() {
+    const entities = [];
+
+    const collect = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(collect);
+            return;
+        }
+        if (Array.isArray(node['@graph'])) {
+            node['@graph'].forEach(collect);
+        }
+        if (node['@type'] && JSON.stringify(node).length <= MAX_JSON_LD_ENTITY_LENGTH) {
+            entities.push(node);
+        }
+    };
+
+    document.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+        try {
+            collect(JSON.parse(script.textContent));
+        } catch {
+            // Ignore malformed JSON-LD
+        }
+    });
+
+    return entities.slice(0, MAX_JSON_LD_ENTITIES);
+}
+
+/**
+ * Find the first JSON-LD value for a property across entities
+ * @param {Array<Object>} entities - JSON-LD entities
+ * @param {string} property - Property name
+ * @returns {*} Property value or undefined
+ */
+function findJsonLdValue(entities, property) {
+    for (const entity of entities) {
+        if (entity[property] !== undefined && entity[property] !== null) {
+            return entity[property];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Turn a JSON-LD author value into display names
+ * @param {*} author - String, Person object or array of them
+ * @returns {string} Comma-separated names
+ */
+function formatJsonLdAuthor(author) {
+    const authors = Array.isArray(author) ? author : [author];
+    return authors
+        .map(entry => (typeof entry === 'string' ? entry : entry?.name))
+        .filter(name => typeof name === 'string' && name.trim().length > 0)
+        .map(name => name.trim())
+        .join(', ');
+}
+
+/**
+ * Normalize a date string to ISO 8601 when it can be parsed
+ * @param {string} value - Raw date
+ * @returns {string} ISO date, the raw value, or empty string
+ */
+function normalizeDate(value) {
+    if (!value || typeof value !== 'string') return '';
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value.trim() : date.toISOString();
+}
+
+/**
+ * Extract the author of the page
+ * @param {Array<Object>} jsonLd - JSON-LD entities
+ * @returns {string} Author names or empty string
+ */
+function extractAuthor(jsonLd) {
+    const fromJsonLd = formatJsonLdAuthor(findJsonLdValue(jsonLd, 'author'));
+    if (fromJsonLd) return fromJsonLd;
+
+    const fromMeta = getMetaContent([
+        'meta[name="author"]',
+        'meta[property="article:author"]',
+        'meta[name="byl"]',
+        'meta[name="dc.creator"]',
+        'meta[name="DC.creator"]',
+    ]);
+    if (fromMeta && !/^https?:\/\//i.test(fromMeta)) return fromMeta;
+
+    const byline = document.querySelector('[itemprop="author"], [rel="author"], .byline .author, .author-name');
+    const bylineText = byline?.textContent?.replace(/\s+/g, ' ').trim();
+    return bylineText && bylineText.length < 100 ? bylineText : '';
+}
+
+/**
+ * Extract all metadata for the page
+ * @returns {Object} Metadata object
+ */
+function extractMetadata() {
+    const openGraph = collectPrefixedMeta('og:');
+    const article = collectPrefixedMeta('article:');
+    const twitter = collectPrefixedMeta('twitter:');
+    const jsonLd = extractJsonLd();
+
+    const publishedAt = normalizeDate(
+        findJsonLdValue(jsonLd, 'datePublished') ||
+        article.published_time ||
+        getMetaContent(['meta[itemprop="datePublished"]', 'meta[name="date"]', 'meta[name="pubdate"]', 'meta[name="publish-date"]', 'meta[name="dc.date"]']) ||
+        document.querySelector('time[itemprop="datePublished"]')?.getAttribute('datetime')
+    );
+
+    const modifiedAt = normalizeDate(
+        findJsonLdValue(jsonLd, 'dateModified') ||
+        article.modified_time ||
+        openGraph.updated_time ||
+        getMetaContent(['meta[itemprop="dateModified"]', 'meta[name="last-modified"]']) ||
+        document.querySelector('time[itemprop="dateModified"]')?.getAttribute('datetime')
+    );
+
+    const language = (
+        document.documentElement.getAttribute('lang') ||
+        getMetaContent(['meta[http-equiv="content-language"]', 'meta[http-equiv="Content-Language"]']) ||
+        ''
+    ).trim();
+
+    return {
+        // Defined by stub.js, which shares this script's global scope
+        canonicalUrl: getCanonicalUrl(),
+        language,
+        author: extractAuthor(jsonLd),
+        publishedAt,
+        modifiedAt,
+        siteName: typeof openGraph.site_name === 'string' ? openGraph.site_name : '',
+        keywords: getMetaContent(['meta[name="keywords"]']),
+        openGraph,
+        article,
+        twitter,
+        jsonLd,
+    };
+}
+
+/**
+ * Render the metadata fields worth searching as a short text block
+ * @param {Object} metadata - Metadata from extractMetadata()
+ * @returns {string} Metadata lines, or empty string if there is nothing to say
+ */
+function formatMetadataSummary(metadata) {
+    const lines = [];
+    if (metadata.author) lines.push(`Author: ${metadata.author}`);
+    if (metadata.publishedAt) lines.push(`Published: ${metadata.publishedAt}`);
+    if (metadata.modifiedAt) lines.push(`Last modified: ${metadata.modifiedAt}`);
+    if (metadata.siteName) lines.push(`Site: ${metadata.siteName}`);
+    if (metadata.language) lines.push(`Language: ${metadata.language}`);
+    if (metadata.canonicalUrl) lines.push(`Canonical URL: ${metadata.canonicalUrl}`);
+    if (metadata.keywords) lines.push(`Keywords: ${metadata.keywords}`);
+    return lines.join('\n');
+}
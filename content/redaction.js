@@ -0,0 +1,347 @@
+/**
+ * Little Elf - PII Redaction
+ * Replaces personal data with stable placeholders before anything leaves the browser; shared by the sidepanel and the ask bubble
+ */
+
+const REDACTION_DEFAULTS = {
+    enabled: true,
+    detectors: {
+        email: true,
+        phone: true,
+        creditCard: true,
+        iban: true,
+        ipAddress: true,
+        apiKey: true,
+    },
+    customPatterns: [],
+    siteOverrides: {},
+};
+
+// Page data fields that identify the page rather than describe it
+const REDACTION_SKIP_KEYS = new Set(['url', 'timestamp']);
+
+/**
+ * Count the digits in a string
+ * @param {string} text - Text to count
+ * @returns {number} Number of digits
+ */
+function countDigits(text) {
+    return (text.match(/\d/g) || []).length;
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} value - Candidate card number, separators allowed
+ * @returns {boolean} True if the number has a valid length and checksum
+ */
+function passesLuhn(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN with the ISO 13616 mod-97 checksum
+ * @param {string} value - Candidate IBAN, spaces allowed
+ * @returns {boolean} True if the checksum is valid
+ */
+function passesIbanChecksum(value) {
+    const iban = value.replace(/\s/g, '').toUpperCase();
+    if (iban.length < 15 || iban.length > 34) return false;
+
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+        for (const digit of digits) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+    return remainder === 1;
+}
+
+/**
+ * Check that a phone-number match is not a date, a list of numbers or too short to be a number
+ * @param {string} value - Candidate phone number
+ * @returns {boolean} True if it looks like a phone number
+ */
+function looksLikePhoneNumber(value) {
+    const digits = countDigits(value);
+    if (digits < 7 || digits > 15) return false;
+    if (/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$/.test(value) || /^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/.test(value)) return false;
+    if (/^[+(]/.test(value)) return true;
+
+    // Without a country code or bracketed area code, groups must be joined by dashes or dots, and
+    // not all be four digits long like a run of years or sizes
+    const groups = value.split(/[\s.-]+/);
+    return /[.-]/.test(value) && groups.length >= 3 && !groups.every(group => group.length === 4);
+}
+
+/**
+ * Check that an IP-address match is not part of a version number
+ * @param {string} value - Candidate address
+ * @param {string} text - Text it was found in
+ * @param {number} offset - Where it starts in the text
+ * @returns {boolean} True if it looks like an address
+ */
+function looksLikeIpAddress(value, text, offset) {
+    // Hex words followed by "::" (C++ scopes like add::) are not addresses
+    if (!/\d/.test(value) || value.replace(/:/g, '').length < 4) return false;
+
+    const before = text.slice(Math.max(0, offset - 20), offset);
+    const after = text.slice(offset + value.length, offset + value.length + 2);
+    if (/\d\.$/.test(before) || /^\.\d/.test(after)) return false;
+    return !/(?:\bv|\bversion|\bver\.?|\brelease|\bbuild|\bfirmware|\bupdate)\s*$/i.test(before);
+}
+
+// Key formats that identify themselves by their prefix
+const KNOWN_SECRET_SOURCES = [
+    '\\b(?:sk|pk|rk)[-_](?:live|test|proj)?[-_]?[A-Za-z0-9_-]{16,}',
+    '\\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{30,}',
+    '\\bgithub_pat_[A-Za-z0-9_]{30,}',
+    '\\bxox[abprs]-[A-Za-z0-9-]{10,}',
+    '\\bAKIA[0-9A-Z]{16}\\b',
+    '\\bAIza[0-9A-Za-z_-]{35}\\b',
+    '\\beyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}',
+];
+const KNOWN_SECRET_PATTERN = new RegExp(`^(?:${KNOWN_SECRET_SOURCES.join('|')})`);
+
+/**
+ * Measure how unpredictable a string's characters are
+ * @param {string} value - String to measure
+ * @returns {number} Shannon entropy in bits per character
+ */
+function getEntropy(value) {
+    const counts = {};
+    for (const char of value) counts[char] = (counts[char] || 0) + 1;
+    return Object.values(counts).reduce((entropy, count) => {
+        const p = count / value.length;
+        return entropy - p * Math.log2(p);
+    }, 0);
+}
+
+/**
+ * Check that a token match is a secret rather than a long identifier, slug or link
+ *
+ * Tokens without a known prefix count when a word such as "key" or "token" comes
+ * right before them, or when they look random: high entropy, several digits and no
+ * runs of lowercase letters like the words in page slugs and class names.
+ *
+ * @param {string} value - Candidate secret
+ * @param {string} text - Text it was found in
+ * @param {number} offset - Where it starts in the text
+ * @returns {boolean} True if it looks like a secret
+ */
+function looksLikeSecret(value, text, offset) {
+    if (KNOWN_SECRET_PATTERN.test(value)) return true;
+
+    const before = text.slice(Math.max(0, offset - 200), offset);
+    if (/(?:key|token|secret|password|passwd|bearer|auth|credential)s?["']?[\s:="']{1,4}$/i.test(before)) return true;
+
+    // Link targets and URL paths are where slugs live
+    if (/(?:\]\(|https?:\/\/)[^\s)]*$|\/$/.test(before)) return false;
+
+    return getEntropy(value) >= 4.3 && countDigits(value) >= 2 && !/[a-z]{6}/.test(value);
+}
+
+// Built-in detectors, applied in order so more specific ones claim their matches first
+const REDACTION_DETECTORS = [
+    {
+        id: 'apiKey',
+        label: 'SECRET',
+        title: 'API keys and tokens',
+        pattern: new RegExp([
+            ...KNOWN_SECRET_SOURCES,
+            // Long tokens mixing upper case, lower case and digits; plain hex hashes are left alone
+            '\\b(?=[A-Za-z0-9_-]*[A-Z])(?=[A-Za-z0-9_-]*[a-z])(?=[A-Za-z0-9_-]*\\d)[A-Za-z0-9_-]{32,}\\b',
+        ].join('|'), 'g'),
+        validate: looksLikeSecret,
+    },
+    {
+        id: 'email',
+        label: 'EMAIL',
+        title: 'Email addresses',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+        normalize: value => value.toLowerCase(),
+    },
+    {
+        id: 'creditCard',
+        label: 'CARD',
+        title: 'Credit card numbers',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: passesLuhn,
+        normalize: value => value.replace(/\D/g, ''),
+    },
+    {
+        id: 'iban',
+        label: 'IBAN',
+        title: 'IBANs',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+        validate: passesIbanChecksum,
+        normalize: value => value.replace(/\s/g, '').toUpperCase(),
+    },
+    {
+        id: 'ipAddress',
+        label: 'IP',
+        title: 'IP addresses',
+        pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b|\b(?:[0-9a-f]{1,4}:){1,6}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)?/gi,
+        validate: looksLikeIpAddress,
+        normalize: value => value.toLowerCase(),
+    },
+    {
+        id: 'phone',
+        label: 'PHONE',
+        title: 'Phone numbers',
+        pattern: /(?<![\w.+-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,5}){1,4}(?![\w-]|\.\d)/g,
+        validate: looksLikePhoneNumber,
+        normalize: value => value.replace(/\D/g, ''),
+    },
+];
+
+/**
+ * Merge stored settings over the defaults
+ * @param {Object} [stored] - Settings from storage
+ * @returns {Object} Complete redaction settings
+ */
+function normalizeRedactionSettings(stored) {
+    return {
+        ...REDACTION_DEFAULTS,
+        ...(stored || {}),
+        detectors: { ...REDACTION_DEFAULTS.detectors, ...(stored?.detectors || {}) },
+        customPatterns: Array.isArray(stored?.customPatterns) ? stored.customPatterns : [],
+        siteOverrides: { ...(stored?.siteOverrides || {}) },
+    };
+}
+
+/**
+ * Check whether redaction applies to a page
+ * @param {Object} settings - Redaction settings
+ * @param {string} url - Page URL
+ * @returns {boolean} True if the site override, or the global switch, enables redaction
+ */
+function isRedactionActive(settings, url) {
+    try {
+        const override = settings.siteOverrides[new URL(url).hostname];
+        if (typeof override === 'boolean') return override;
+    } catch {
+        // Fall back to the global switch
+    }
+    return settings.enabled;
+}
+
+/**
+ * Parse custom pattern lines ("LABEL: regex" or just "regex")
+ * @param {string} text - Textarea value
+ * @returns {Array<Object>} Patterns with label and pattern source
+ */
+function parseCustomPatterns(text) {
+    return text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line) => {
+            const match = line.match(/^([A-Za-z][A-Za-z0-9_]{0,30}):\s+(.+)$/);
+            return match ?
+                { label: match[1].toUpperCase(), pattern: match[2] } :
+                { label: 'CUSTOM', pattern: line };
+        });
+}
+
+/**
+ * Compile custom patterns, skipping invalid ones
+ * @param {Array<Object>} customPatterns - Patterns from parseCustomPatterns()
+ * @returns {Array<Object>} Detectors for the valid patterns
+ */
+function compileCustomPatterns(customPatterns) {
+    const detectors = [];
+    customPatterns.forEach(({ label, pattern }) => {
+        try {
+            detectors.push({ id: `custom:${label}`, label, pattern: new RegExp(pattern, 'g') });
+        } catch {
+            console.warn('[Little Elf] Ignoring invalid redaction pattern:', pattern);
+        }
+    });
+    return detectors;
+}
+
+/**
+ * Create an empty placeholder map; keep one per session so placeholders stay stable
+ * @returns {Object} Map of values to placeholders, with per-label counters
+ */
+function createRedactionMap() {
+    return { placeholders: {}, counts: {} };
+}
+
+/**
+ * Get the placeholder for a value, numbering new values per label
+ * @param {Object} map - Placeholder map
+ * @param {string} label - Placeholder label, e.g. EMAIL
+ * @param {string} key - Normalized value
+ * @returns {string} Placeholder such as [EMAIL_1]
+ */
+function getPlaceholder(map, label, key) {
+    const mapKey = `${label}:${key}`;
+    if (!map.placeholders[mapKey]) {
+        map.counts[label] = (map.counts[label] || 0) + 1;
+        map.placeholders[mapKey] = `[${label}_${map.counts[label]}]`;
+    }
+    return map.placeholders[mapKey];
+}
+
+/**
+ * Redact a string
+ * @param {string} text - Text to redact
+ * @param {Object} settings - Redaction settings
+ * @param {Object} map - Placeholder map, updated in place
+ * @returns {string} Text with matches replaced by placeholders
+ */
+function redactText(text, settings, map) {
+    if (!text) return text;
+
+    const detectors = [
+        // User patterns first: they name things the built-ins can't know about
+        ...compileCustomPatterns(settings.customPatterns),
+        ...REDACTION_DETECTORS.filter(detector => settings.detectors[detector.id]),
+    ];
+
+    return detectors.reduce((result, detector) => {
+        return result.replace(detector.pattern, (match, ...args) => {
+            // After the groups come the offset, the whole text and, with named groups, the groups object
+            const hasNamedGroups = typeof args[args.length - 1] === 'object';
+            const offset = args[args.length - (hasNamedGroups ? 3 : 2)];
+            const input = args[args.length - (hasNamedGroups ? 2 : 1)];
+            if (!match || (detector.validate && !detector.validate(match, input, offset))) return match;
+            const key = detector.normalize ? detector.normalize(match) : match;
+            return getPlaceholder(map, detector.label, key);
+        });
+    }, text);
+}
+
+/**
+ * Redact every string in page data
+ * @param {*} value - Page data or any part of it
+ * @param {Object} settings - Redaction settings
+ * @param {Object} map - Placeholder map, updated in place
+ * @returns {*} Redacted copy
+ */
+function redactValue(value, settings, map) {
+    if (typeof value === 'string') return redactText(value, settings, map);
+    if (Array.isArray(value)) return value.map(item => redactValue(item, settings, map));
+    if (!value || typeof value !== 'object') return value;
+
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+        result[key] = REDACTION_SKIP_KEYS.has(key) ? item : redactValue(item, settings, map);
+    });
+    return result;
+}
@@ -0,0 +1,69 @@
+/**
+ * Little Elf - Extraction Rules
+ * User-defined, per-site main-content, exclude and always-include selectors
+ */
+
+// Rules cached from storage so extraction can stay synchronous
+let extractionRules = [];
+
+/**
+ * Combine every rule that matches a URL into one
+ * @param {string} url - Page URL
+ * @returns {Object|null} Merged rule, or null if none apply
+ */
+function getRuleForUrl(url) {
+    const matching = extractionRules
+        .filter(rule => rule.enabled !== false && matchesUrlPattern(rule.pattern, url))
+        // The most specific (longest) pattern wins the main selector
+        .sort((a, b) => b.pattern.length - a.pattern.length);
+
+    if (matching.length === 0) return null;
+
+    return {
+        patterns: matching.map(rule => rule.pattern),
+        mainSelector: matching.find(rule => rule.mainSelector)?.mainSelector || '',
+        exclude: matching.flatMap(rule => rule.exclude || []),
+        include: matching.flatMap(rule => rule.include || []),
+    };
+}
+
+/**
+ * Query selectors without throwing on invalid user input
+ * @param {ParentNode} root - Root to search within
+ * @param {string[]} selectors - CSS selectors
+ * @returns {Element[]} Matching elements in document order
+ */
+function querySelectorsSafely(root, selectors) {
+    const matches = new Set();
+    selectors.forEach((selector) => {
+        try {
+            root.querySelectorAll(selector).forEach(element => matches.add(element));
+        } catch {
+            console.warn('[Little Elf] Ignoring invalid rule selector:', selector);
+        }
+    });
+    return Array.from(matches).sort((a, b) => {
+        return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+}
+
+/**
+ * Load rules from storage and keep them in sync
+ */
+async function loadExtractionRules() {
+    try {
+        const result = await chrome.storage.local.get(['extractionRules']);
+        extractionRules = Array.isArray(result.extractionRules) ? result.extractionRules : [];
+    } catch (error) {
+        console.error('[Little Elf] Error loading extraction rules:', error);
+    }
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.extractionRules) {
+        extractionRules = Array.isArray(changes.extractionRules.newValue) ? changes.extractionRules.newValue : [];
+    }
+});
+
+// Extraction waits for this, since the extractor can be asked for content as soon as it is injected
+const extractionRulesReady = loadExtractionRules();
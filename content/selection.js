@@ -0,0 +1,243 @@
+/**
+ * Little Elf - Selection Context
+ * The selected passage with the section around it and the headings above it
+ */
+
+// Limits on what a selection sends along with a question
+const MAX_SELECTION_LENGTH = 8000;
+const MAX_SECTION_LENGTH = 3000;
+
+// Selections change on every drag step; only the settled one is reported
+const SELECTION_NOTIFY_DELAY = 400;
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+const TEXT_BLOCK_SELECTOR = 'p, li, pre, blockquote, td, th, dt, dd, figcaption, h1, h2, h3, h4, h5, h6, div, section, article';
+
+// Form fields whose selected text may be read; password fields never are
+const SELECTABLE_INPUT_TYPES = new Set(['text', 'search', 'url']);
+
+// Chats that want to hear about selections, and the last selection told to them
+const selectionWatchers = new Set();
+let selectionNotifyTimer = null;
+let lastNotifiedSelection = '';
+
+/**
+ * Collapse whitespace
+ * @param {string} text - Text to clean
+ * @returns {string} Single-spaced, trimmed text
+ */
+function collapseWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get a heading's level
+ * @param {Element} heading - h1 to h6
+ * @returns {number} 1 to 6
+ */
+function getHeadingLevel(heading) {
+    return Number(heading.tagName[1]);
+}
+
+/**
+ * Find the headings a node sits under, outermost first
+ * @param {Node} node - Node inside the page
+ * @returns {Element[]} One heading per level, e.g. [h1, h2, h3]
+ */
+function getHeadingPath(node) {
+    const headings = Array.from(document.querySelectorAll(HEADING_SELECTOR));
+    const path = [];
+    let level = 7;
+
+    // Walking back from the node, each heading above a lower level is the next ancestor section
+    for (let i = headings.length - 1; i >= 0 && level > 1; i--) {
+        const heading = headings[i];
+        if (!(heading.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING)) continue;
+
+        const headingLevel = getHeadingLevel(heading);
+        if (headingLevel < level && collapseWhitespace(heading.textContent)) {
+            path.unshift(heading);
+            level = headingLevel;
+        }
+    }
+
+    return path;
+}
+
+/**
+ * Read the text a range covers, leaving out scripts and styles
+ * @param {Range} range - Range to read
+ * @returns {string} Text content
+ */
+function getRangeText(range) {
+    const root = range.commonAncestorContainer;
+    if (root.nodeType === Node.TEXT_NODE) {
+        return root.data;
+    }
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => {
+            if (!range.intersectsNode(node) || node.parentElement?.closest('script, style, noscript, template')) {
+                return NodeFilter.FILTER_REJECT;
+            }
+            return NodeFilter.FILTER_ACCEPT;
+        },
+    });
+
+    // Text nodes in different blocks need a break between them; inline ones run together
+    let text = '';
+    let lastBlock = null;
+    while (walker.nextNode()) {
+        const block = walker.currentNode.parentElement?.closest(TEXT_BLOCK_SELECTOR);
+        if (text && block !== lastBlock) text += '\n';
+        text += walker.currentNode.data;
+        lastBlock = block;
+    }
+    return text;
+}
+
+/**
+ * Cut text down to a window around a passage
+ * @param {string} text - Whitespace-collapsed text
+ * @param {string} passage - Whitespace-collapsed passage to keep in view
+ * @param {number} maxLength - Maximum characters
+ * @returns {string} Text, with "…" where it was cut
+ */
+function clipAround(text, passage, maxLength) {
+    if (text.length <= maxLength) return text;
+
+    const index = Math.max(text.indexOf(passage.substring(0, 80)), 0);
+    const centered = index - Math.floor(Math.max(maxLength - passage.length, 0) / 2);
+    const start = Math.max(0, Math.min(centered, text.length - maxLength));
+    const end = start + maxLength;
+
+    return `${start > 0 ? '…' : ''}${text.substring(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Get the text of the section a selection belongs to
+ *
+ * That is everything between the nearest heading above it and the next heading
+ * of the same or a higher level, or the enclosing section element when the page
+ * has no headings there.
+ *
+ * @param {Element} anchor - Element where the selection starts
+ * @param {Element|undefined} heading - Nearest heading above the selection
+ * @param {string} passage - Selected text
+ * @returns {string} Section text around the passage
+ */
+function getSectionText(anchor, heading, passage) {
+    const range = document.createRange();
+
+    if (heading) {
+        const level = getHeadingLevel(heading);
+        const next = Array.from(document.querySelectorAll(HEADING_SELECTOR)).find((candidate) => {
+            return getHeadingLevel(candidate) <= level &&
+                !heading.contains(candidate) &&
+                (heading.compareDocumentPosition(candidate) & Node.DOCUMENT_POSITION_FOLLOWING);
+        });
+
+        range.setStartAfter(heading);
+        if (next) {
+            range.setEndBefore(next);
+        } else {
+            range.setEnd(document.body, document.body.childNodes.length);
+        }
+    } else {
+        const container = anchor.closest('section, article, main, [role="main"]') ||
+            anchor.closest('p, li, pre, blockquote, td, dd')?.parentElement ||
+            document.body;
+        range.selectNodeContents(container);
+    }
+
+    return clipAround(collapseWhitespace(getRangeText(range)), collapseWhitespace(passage), MAX_SECTION_LENGTH);
+}
+
+/**
+ * Capture the current selection with its surroundings
+ * @returns {Object|null} text, headingPath, section, code language and URL; null if nothing is selected
+ */
+function getSelectionContext() {
+    const field = document.activeElement;
+    let text = '';
+    let anchor = null;
+
+    // Selections inside text fields don't show up in window.getSelection()
+    const isTextField = field?.tagName === 'TEXTAREA' ||
+        (field?.tagName === 'INPUT' && SELECTABLE_INPUT_TYPES.has(field.type));
+
+    if (isTextField && field.selectionEnd > field.selectionStart) {
+        text = field.value.substring(field.selectionStart, field.selectionEnd);
+        anchor = field;
+    } else {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+
+        const start = selection.getRangeAt(0).startContainer;
+        text = selection.toString();
+        anchor = start.nodeType === Node.ELEMENT_NODE ? start : start.parentElement;
+    }
+
+    text = text.replace(/\n{3,}/g, '\n\n').trim();
+    if (!text || !anchor) return null;
+
+    const headings = getHeadingPath(anchor);
+    const code = anchor.closest('pre');
+
+    return {
+        text: text.length > MAX_SELECTION_LENGTH ? `${text.substring(0, MAX_SELECTION_LENGTH)}…` : text,
+        headingPath: headings.map(heading => collapseWhitespace(heading.textContent)),
+        section: getSectionText(anchor, headings[headings.length - 1], text),
+        isCode: Boolean(code),
+        language: code ? detectCodeLanguage(code) : '',
+        url: window.location.href,
+    };
+}
+
+/**
+ * Tell watching chats about the settled selection, if it changed
+ */
+async function notifySelectionChange() {
+    const { access } = await getPageAccess();
+    if (access === 'blocked') return;
+
+    const selection = getSelectionContext();
+    const key = selection?.text || '';
+    if (key === lastNotifiedSelection) return;
+
+    lastNotifiedSelection = key;
+    selectionWatchers.forEach(port => port.postMessage({ type: 'SELECTION_CHANGED', selection }));
+}
+
+/**
+ * Debounce selectionchange events
+ */
+function scheduleSelectionNotify() {
+    if (selectionNotifyTimer) clearTimeout(selectionNotifyTimer);
+    selectionNotifyTimer = setTimeout(() => {
+        selectionNotifyTimer = null;
+        notifySelectionChange();
+    }, SELECTION_NOTIFY_DELAY);
+}
+
+/**
+ * Report selections to a chat for as long as its port stays open
+ * @param {chrome.runtime.Port} port - Page watch port from the sidepanel
+ */
+function watchSelection(port) {
+    if (selectionWatchers.size === 0) {
+        document.addEventListener('selectionchange', scheduleSelectionNotify);
+    }
+    selectionWatchers.add(port);
+
+    // A chat opened after text was selected should see it too
+    lastNotifiedSelection = '';
+    scheduleSelectionNotify();
+
+    port.onDisconnect.addListener(() => {
+        selectionWatchers.delete(port);
+        if (selectionWatchers.size === 0) {
+            document.removeEventListener('selectionchange', scheduleSelectionNotify);
+        }
+    });
+}
@@ -0,0 +1,130 @@
+/**
+ * Little Elf - Site Access
+ * URL patterns and the per-site allow/block lists, shared by content scripts, popup and sidepanel
+ */
+
+// Stored under "sitePolicy". In "on-demand" mode only allowed sites are extracted without being asked
+const SITE_POLICY_DEFAULTS = {
+    mode: 'auto',
+    allow: [],
+    block: [],
+};
+
+/**
+ * Convert a wildcard pattern to a regular expression
+ * @param {string} pattern - Pattern where * matches any characters
+ * @returns {RegExp} Anchored regular expression
+ */
+function wildcardToRegExp(pattern) {
+    const escaped = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Check whether a site pattern matches a URL
+ *
+ * "example.com" matches the domain and its subdomains, "docs.example.com/api/*"
+ * matches host and path, and patterns with a scheme match the full URL.
+ *
+ * @param {string} pattern - Domain or URL pattern
+ * @param {string} url - Page URL
+ * @returns {boolean} True if the pattern matches
+ */
+function matchesUrlPattern(pattern, url) {
+    const trimmed = (pattern || '').trim();
+    if (!trimmed) return false;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+
+    if (trimmed.includes('://')) {
+        return wildcardToRegExp(trimmed).test(parsed.href);
+    }
+
+    if (trimmed.includes('/')) {
+        return wildcardToRegExp(trimmed).test(parsed.host + parsed.pathname + parsed.search);
+    }
+
+    if (trimmed.includes('*')) {
+        return wildcardToRegExp(trimmed).test(parsed.hostname);
+    }
+
+    const domain = trimmed.toLowerCase();
+    const hostname = parsed.hostname.toLowerCase();
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Split textarea input into site patterns
+ * @param {string} text - One pattern per line
+ * @returns {string[]} Patterns
+ */
+function parseSitePatterns(text) {
+    return text
+        .split('\n')
+        .map(pattern => pattern.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Merge a stored site policy over the defaults
+ * @param {Object} [stored] - Policy from storage
+ * @returns {Object} Complete site policy
+ */
+function normalizeSitePolicy(stored) {
+    return {
+        mode: stored?.mode === 'on-demand' ? 'on-demand' : 'auto',
+        allow: Array.isArray(stored?.allow) ? stored.allow : [],
+        block: Array.isArray(stored?.block) ? stored.block : [],
+    };
+}
+
+/**
+ * Decide how Little Elf may treat a page; the block list wins over the allow list
+ * @param {string} url - Page URL
+ * @param {Object} policy - Site policy
+ * @returns {{access: string, list: string|null, pattern: string}} access is "blocked", "auto" or
+ *     "on-demand"; list and pattern name the entry that decided it, if any
+ */
+function getSiteAccess(url, policy) {
+    const blockedBy = policy.block.find(pattern => matchesUrlPattern(pattern, url));
+    if (blockedBy) {
+        return { access: 'blocked', list: 'block', pattern: blockedBy };
+    }
+
+    const allowedBy = policy.allow.find(pattern => matchesUrlPattern(pattern, url));
+    if (allowedBy) {
+        return { access: 'auto', list: 'allow', pattern: allowedBy };
+    }
+
+    return { access: policy.mode, list: null, pattern: '' };
+}
+
+/**
+ * Put a page's site on the allow list, the block list or neither
+ *
+ * Every entry matching the page is removed first, so "default" also clears broader
+ * patterns such as a parent domain.
+ *
+ * @param {Object} policy - Site policy
+ * @param {string} url - Page URL
+ * @param {string} choice - "allow", "block" or "default"
+ * @returns {Object} Updated site policy
+ */
+function setSiteAccess(policy, url, choice) {
+    const hostname = new URL(url).hostname;
+    const allow = policy.allow.filter(pattern => !matchesUrlPattern(pattern, url));
+    const block = policy.block.filter(pattern => !matchesUrlPattern(pattern, url));
+
+    if (choice === 'allow') allow.push(hostname);
+    if (choice === 'block') block.push(hostname);
+
+    return { ...policy, allow, block };
+}
@@ -0,0 +1,139 @@
+/**
+ * Little Elf - Content Script Stub
+ * The only script on every page: asks for the extractor once the page is idle if this site is extracted automatically,
+ * or at the first text selection if the ask bubble is on, and tells the extension which URL the page's chat is keyed by
+ */
+
+// Longest wait for an idle moment before the automatic extraction starts anyway
+const AUTO_EXTRACTION_IDLE_TIMEOUT = 5000;
+
+/**
+ * Get the canonical URL the page declares, from its canonical link or og:url
+ * @returns {string} Absolute http(s) URL or empty string
+ */
+function getCanonicalUrl() {
+    const candidates = [
+        document.querySelector('link[rel="canonical"]')?.getAttribute('href'),
+        document.querySelector('meta[property="og:url"], meta[name="og:url"]')?.getAttribute('content')?.trim(),
+    ];
+
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+        try {
+            const url = new URL(candidate, document.baseURI);
+            if (url.protocol === 'http:' || url.protocol === 'https:') return url.href;
+        } catch {
+            // Ignore invalid URLs
+        }
+    }
+
+    return '';
+}
+
+/**
+ * Check whether this page is extracted without being asked
+ * @returns {Promise<boolean>} True if the extension is on and the site policy allows automatic extraction
+ */
+async function shouldAutoExtract() {
+    if (!/^https?:/.test(window.location.href)) return false;
+
+    try {
+        const result = await chrome.storage.local.get(['elfEnabled', 'sitePolicy']);
+        if (result.elfEnabled === false) return false;
+        return getSiteAccess(window.location.href, normalizeSitePolicy(result.sitePolicy)).access === 'auto';
+    } catch (error) {
+        console.error('[Little Elf] Error checking automatic extraction:', error);
+        return false;
+    }
+}
+
+/**
+ * Have the background inject the extractor, then run it in idle time
+ */
+async function runAutoExtraction() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'LOAD_EXTRACTOR' });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Extractor not loaded');
+        }
+        // Defined by content.js, which shares this script's global scope
+        await runExtraction();
+    } catch (error) {
+        console.error('[Little Elf] Automatic extraction failed:', error);
+    }
+}
+
+/**
+ * Check whether the ask bubble should be offered on this page
+ * @returns {Promise<boolean>} True if it is switched on and the site is not blocked
+ */
+async function shouldOfferAskBubble() {
+    if (!/^https?:/.test(window.location.href)) return false;
+
+    try {
+        const result = await chrome.storage.local.get(['elfEnabled', 'askBubble', 'sitePolicy']);
+        if (result.elfEnabled === false || result.askBubble !== true) return false;
+        return getSiteAccess(window.location.href, normalizeSitePolicy(result.sitePolicy)).access !== 'blocked';
+    } catch (error) {
+        console.error('[Little Elf] Error checking ask bubble setting:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the extractor, which draws the ask bubble, at the first text selection
+ */
+function loadAskBubbleOnSelection() {
+    const onMouseUp = async () => {
+        if (window.getSelection().isCollapsed && !document.activeElement?.matches('input, textarea')) return;
+        document.removeEventListener('mouseup', onMouseUp);
+
+        // Already loaded: bubble.js follows selections itself
+        if (typeof updateAskBubble === 'function') return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'LOAD_EXTRACTOR' });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Extractor not loaded');
+            }
+            // Defined by bubble.js, which shares this script's global scope
+            await loadAskBubbleSetting();
+            await updateAskBubble();
+        } catch (error) {
+            console.error('[Little Elf] Failed to load the ask bubble:', error);
+        }
+    };
+    document.addEventListener('mouseup', onMouseUp);
+}
+
+shouldAutoExtract().then((autoExtract) => {
+    if (autoExtract) {
+        requestIdleCallback(runAutoExtraction, { timeout: AUTO_EXTRACTION_IDLE_TIMEOUT });
+    }
+});
+
+shouldOfferAskBubble().then((offer) => {
+    if (offer) loadAskBubbleOnSelection();
+});
+
+// Answered here rather than by the extractor, so a chat can be looked up without loading it
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type !== 'GET_CANONICAL_URL') return false;
+
+    chrome.storage.local.get(['sitePolicy']).then((result) => {
+        const { access } = getSiteAccess(window.location.href, normalizeSitePolicy(result.sitePolicy));
+        sendResponse({ canonicalUrl: access === 'blocked' ? '' : getCanonicalUrl() });
+    }).catch(() => {
+        sendResponse({ canonicalUrl: '' });
+    });
+    return true;
+});
+
+// Switching the bubble on should not need a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.askBubble?.newValue === true && typeof updateAskBubble !== 'function') {
+        shouldOfferAskBubble().then((offer) => {
+            if (offer) loadAskBubbleOnSelection();
+        });
+    }
+});
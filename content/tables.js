@@ -0,0 +1,158 @@
+/**
+ * Little Elf - Table Extractor
+ * Turns HTML tables into header/row grids and CSV, resolving colspan and rowspan
+ */
+
+// Limits to keep huge data tables from flooding the page data
+const MAX_TABLE_ROWS = 200;
+const MAX_TABLE_COLUMNS = 50;
+const MAX_SPAN = 100;
+
+/**
+ * Normalize the text of a table cell
+ * @param {Element} cell - td or th element
+ * @returns {string} Cell text on a single line
+ */
+function getCellText(cell) {
+    return (cell.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether a row is a header row
+ * @param {HTMLTableRowElement} row - Table row
+ * @returns {boolean} True if the row is in thead or made only of th cells
+ */
+function isHeaderRow(row) {
+    if (row.parentElement?.tagName === 'THEAD') return true;
+    const cells = Array.from(row.cells);
+    return cells.length > 0 && cells.every(cell => cell.tagName === 'TH');
+}
+
+/**
+ * Check whether a table is used for layout rather than data
+ * @param {HTMLTableElement} table - Table element
+ * @returns {boolean} True for layout tables
+ */
+function isLayoutTable(table) {
+    const role = table.getAttribute('role');
+    if (role === 'presentation' || role === 'none') return true;
+    if (table.querySelector('table')) return true;
+    return table.rows.length < 2 && !table.querySelector('th');
+}
+
+/**
+ * Build a rectangular grid of cell text, copying spanned cells into every slot they cover
+ * @param {HTMLTableElement} table - Table element
+ * @param {Function} [cellToText] - Converts a cell element to text
+ * @returns {{grid: string[][], headerRowCount: number}} Cell grid and number of leading header rows
+ */
+function buildTableGrid(table, cellToText = getCellText) {
+    const grid = [];
+    const rows = Array.from(table.rows).slice(0, MAX_TABLE_ROWS);
+    let headerRowCount = 0;
+    let countingHeaders = true;
+
+    rows.forEach((row, rowIndex) => {
+        grid[rowIndex] = grid[rowIndex] || [];
+        let columnIndex = 0;
+
+        Array.from(row.cells).forEach((cell) => {
+            // Skip slots already filled by a rowspan from above
+            while (grid[rowIndex][columnIndex] !== undefined) columnIndex++;
+
+            const text = cellToText(cell);
+            const colSpan = Math.min(Math.max(cell.colSpan || 1, 1), MAX_SPAN);
+            // rowspan="0" spans the rest of the table
+            const rowSpan = cell.rowSpan === 0 ?
+                rows.length - rowIndex :
+                Math.min(Math.max(cell.rowSpan || 1, 1), MAX_SPAN);
+
+            for (let r = 0; r < rowSpan && rowIndex + r < rows.length; r++) {
+                grid[rowIndex + r] = grid[rowIndex + r] || [];
+                for (let c = 0; c < colSpan && columnIndex + c < MAX_TABLE_COLUMNS; c++) {
+                    grid[rowIndex + r][columnIndex + c] = text;
+                }
+            }
+
+            columnIndex += colSpan;
+        });
+
+        if (countingHeaders && isHeaderRow(row)) {
+            headerRowCount++;
+        } else {
+            countingHeaders = false;
+        }
+    });
+
+    const columnCount = Math.min(Math.max(0, ...grid.map(row => row.length)), MAX_TABLE_COLUMNS);
+    const normalized = grid.map((row) => {
+        return Array.from({ length: columnCount }, (_, index) => row[index] ?? '');
+    });
+
+    return { grid: normalized, headerRowCount };
+}
+
+/**
+ * Merge several header rows into one label per column
+ * @param {string[][]} headerRows - Header rows of the grid
+ * @returns {string[]} Column headers
+ */
+function mergeHeaderRows(headerRows) {
+    if (headerRows.length === 0) return [];
+
+    return headerRows[0].map((_, columnIndex) => {
+        const parts = [];
+        headerRows.forEach((row) => {
+            const text = row[columnIndex];
+            if (text && parts[parts.length - 1] !== text) parts.push(text);
+        });
+        return parts.join(' / ');
+    });
+}
+
+/**
+ * Extract a table as structured data
+ * @param {HTMLTableElement} table - Table element
+ * @returns {Object|null} Table with caption, headers and rows, or null if empty
+ */
+function extractTable(table) {
+    const { grid, headerRowCount } = buildTableGrid(table);
+
+    const rows = grid
+        .slice(headerRowCount)
+        .filter(row => row.some(cell => cell.length > 0));
+
+    if (rows.length === 0 && headerRowCount === 0) return null;
+
+    return {
+        caption: table.caption ? getCellText(table.caption) : '',
+        headers: mergeHeaderRows(grid.slice(0, headerRowCount)),
+        rows,
+    };
+}
+
+/**
+ * Quote a value for CSV
+ * @param {string} value - Cell value
+ * @returns {string} CSV-safe value
+ */
+function toCsvValue(value) {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render an extracted table as CSV
+ * @param {Object} table - Table from extractTable()
+ * @returns {string} CSV text
+ */
+function tableToCsv(table) {
+    const lines = [];
+    if (table.headers.length > 0) {
+        lines.push(table.headers.map(toCsvValue).join(','));
+    }
+    table.rows.forEach((row) => {
+        lines.push(row.map(toCsvValue).join(','));
+    });
+    return lines.join('\n');
+}
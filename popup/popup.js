@@ -6,6 +6,10 @@
 // DOM Elements
 let elements = {};
 
+// Site policy from storage, and how it treats the current tab (null for pages it can't apply to)
+let sitePolicy = normalizeSitePolicy();
+let siteAccess = null;
+
 /**
  * Initialize the popup
  */
@@ -14,6 +18,7 @@ async function init() {
   setupEventListeners();
   await loadState();
   await loadCurrentPage();
+  await loadSiteStatus();
   await loadStats();
 }
 
@@ -25,12 +30,18 @@ function initElements() {
     status: document.getElementById('status'),
     pageTitle: document.getElementById('pageTitle'),
     pageUrl: document.getElementById('pageUrl'),
+    pageMeta: document.getElementById('pageMeta'),
     openChat: document.getElementById('openChat'),
     extractNow: document.getElementById('extractNow'),
+    showExtraction: document.getElementById('showExtraction'),
     charCount: document.getElementById('charCount'),
     headingCount: document.getElementById('headingCount'),
     lastExtract: document.getElementById('lastExtract'),
     enableToggle: document.getElementById('enableToggle'),
+    onDemandToggle: document.getElementById('onDemandToggle'),
+    askBubbleToggle: document.getElementById('askBubbleToggle'),
+    siteAccess: document.getElementById('siteAccess'),
+    siteStatus: document.getElementById('siteStatus'),
     clearData: document.getElementById('clearData'),
     settings: document.getElementById('settings'),
     container: document.querySelector('.popup-container'),
@@ -47,9 +58,19 @@ function setupEventListeners() {
   // Extract content now
   elements.extractNow.addEventListener('click', extractContent);
 
+  // Outline extracted regions on the page
+  elements.showExtraction.addEventListener('click', showExtraction);
+
   // Toggle extension
   elements.enableToggle.addEventListener('change', toggleExtension);
 
+  // Site access
+  elements.onDemandToggle.addEventListener('change', toggleOnDemand);
+  elements.siteAccess.addEventListener('change', changeSiteAccess);
+
+  // Ask bubble next to selections
+  elements.askBubbleToggle.addEventListener('change', toggleAskBubble);
+
   // Clear data
   elements.clearData.addEventListener('click', clearData);
 
@@ -62,10 +83,11 @@ function setupEventListeners() {
  */
 async function loadState() {
   try {
-    const result = await chrome.storage.local.get(['elfEnabled']);
+    const result = await chrome.storage.local.get(['elfEnabled', 'askBubble']);
     const enabled = result.elfEnabled !== false;
 
     elements.enableToggle.checked = enabled;
+    elements.askBubbleToggle.checked = result.askBubble === true;
     updateStatusDisplay(enabled);
 
     if (!enabled) {
@@ -102,6 +124,96 @@ async function loadCurrentPage() {
   }
 }
 
+/**
+ * Load the site policy and show how it treats the current page
+ */
+async function loadSiteStatus() {
+  try {
+    const result = await chrome.storage.local.get(['sitePolicy']);
+    sitePolicy = normalizeSitePolicy(result.sitePolicy);
+    elements.onDemandToggle.checked = sitePolicy.mode === 'on-demand';
+    await updateSiteDisplay();
+  } catch (error) {
+    console.error('[Little Elf] Error loading site policy:', error);
+  }
+}
+
+/**
+ * Show the current site's access and lock the page actions on blocked sites
+ */
+async function updateSiteDisplay() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  if (!tab || !/^https?:/.test(tab.url || '')) {
+    siteAccess = null;
+    elements.siteAccess.disabled = true;
+    elements.siteStatus.textContent = '';
+    return;
+  }
+
+  siteAccess = getSiteAccess(tab.url, sitePolicy);
+  const blocked = siteAccess.access === 'blocked';
+
+  elements.siteAccess.disabled = false;
+  elements.siteAccess.value = siteAccess.list || 'default';
+  elements.siteStatus.textContent = describeSiteAccess(siteAccess);
+  elements.siteStatus.classList.toggle('blocked', blocked);
+  elements.extractNow.disabled = blocked;
+  elements.showExtraction.disabled = blocked;
+}
+
+/**
+ * Describe a site access result in one line
+ */
+function describeSiteAccess({ access, list, pattern }) {
+  if (access === 'blocked') return `Blocked by “${pattern}”: Little Elf won't read this site`;
+  if (list === 'allow') return `Extracted automatically (allowed by “${pattern}”)`;
+  if (access === 'on-demand') return 'Extracted only when you open the chat or click Extract';
+  return 'Extracted automatically when the page loads';
+}
+
+/**
+ * Switch the ask button next to selected text on or off
+ */
+async function toggleAskBubble() {
+  try {
+    await chrome.storage.local.set({ askBubble: elements.askBubbleToggle.checked });
+  } catch (error) {
+    console.error('[Little Elf] Error saving ask bubble setting:', error);
+  }
+}
+
+/**
+ * Switch between automatic and on-demand extraction
+ */
+async function toggleOnDemand() {
+  sitePolicy = { ...sitePolicy, mode: elements.onDemandToggle.checked ? 'on-demand' : 'auto' };
+  await saveSitePolicy();
+}
+
+/**
+ * Allow, block or reset the current site
+ */
+async function changeSiteAccess() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url) return;
+
+  sitePolicy = setSiteAccess(sitePolicy, tab.url, elements.siteAccess.value);
+  await saveSitePolicy();
+}
+
+/**
+ * Persist the site policy; content scripts read it before every extraction
+ */
+async function saveSitePolicy() {
+  try {
+    await chrome.storage.local.set({ sitePolicy });
+    await updateSiteDisplay();
+  } catch (error) {
+    console.error('[Little Elf] Error saving site policy:', error);
+  }
+}
+
 /**
  * Load extraction stats
  */
@@ -125,7 +237,9 @@ async function loadStats() {
       elements.charCount.textContent = formatNumber(pageData.contentLength || 0);
 
       // Heading count
-      elements.headingCount.textContent = (pageData.headings || []).length;
+      elements.headingCount.textContent = pageData.headingCount ?? (pageData.headings || []).length;
+
+      updateMetadataDisplay(pageData.metadata);
 
       // Last extraction time
       if (pageData.extractedAt) {
@@ -133,6 +247,11 @@ async function loadStats() {
       } else if (pageData.timestamp) {
         elements.lastExtract.textContent = formatTimeAgo(pageData.timestamp);
       }
+    } else if (siteAccess?.access !== 'auto') {
+      // Blocked and on-demand pages are not read just because the popup opened
+      elements.charCount.textContent = '—';
+      elements.headingCount.textContent = '—';
+      elements.lastExtract.textContent = siteAccess?.access === 'blocked' ? 'Blocked' : 'Click Extract';
     } else {
       // No data - try to extract from content script directly
       try {
@@ -141,6 +260,7 @@ async function loadStats() {
           elements.charCount.textContent = formatNumber(response.contentLength || response.content.length);
           elements.headingCount.textContent = (response.headings || []).length;
           elements.lastExtract.textContent = 'Just now';
+          updateMetadataDisplay(response.metadata);
         } else {
           elements.charCount.textContent = '0';
           elements.headingCount.textContent = '0';
@@ -158,6 +278,49 @@ async function loadStats() {
   }
 }
 
+/**
+ * Show author, publish date and language for the page
+ */
+function updateMetadataDisplay(metadata) {
+  if (!metadata) {
+    elements.pageMeta.textContent = '';
+    return;
+  }
+
+  const parts = [];
+  if (metadata.author) parts.push(`By ${metadata.author}`);
+  if (metadata.publishedAt) {
+    const published = new Date(metadata.publishedAt);
+    parts.push(isNaN(published.getTime()) ? metadata.publishedAt : published.toLocaleDateString());
+  }
+  if (metadata.language) parts.push(metadata.language);
+
+  elements.pageMeta.textContent = parts.join(' · ');
+  elements.pageMeta.title = metadata.canonicalUrl ? `Canonical: ${metadata.canonicalUrl}` : '';
+}
+
+/**
+ * Ask the content script for the page's canonical URL
+ */
+async function getCanonicalUrl(tab) {
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_CANONICAL_URL' });
+    return response?.canonicalUrl || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Have the background inject the extractor into a tab, which only runs a stub until asked
+ */
+async function loadExtractor(tabId) {
+  const response = await chrome.runtime.sendMessage({ type: 'LOAD_EXTRACTOR', tabId });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Could not load the extractor');
+  }
+}
+
 /**
  * Open the sidepanel for chat
  */
@@ -194,6 +357,7 @@ async function extractContent() {
     elements.extractNow.querySelector('.btn-text').textContent = 'Extracting...';
 
     // Send message to content script
+    await loadExtractor(tab.id);
     const response = await chrome.tabs.sendMessage(tab.id, { type: 'TRIGGER_EXTRACTION' });
 
     if (response && response.success) {
@@ -219,6 +383,33 @@ async function extractContent() {
   }
 }
 
+/**
+ * Toggle the extraction debug overlay on the current page
+ */
+async function showExtraction() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (!tab) return;
+
+    await loadExtractor(tab.id);
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_DEBUG_OVERLAY' });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Overlay failed');
+    }
+
+    window.close();
+  } catch (error) {
+    console.error('[Little Elf] Debug overlay error:', error);
+    elements.showExtraction.querySelector('.btn-text').textContent = 'Not available on this page';
+
+    setTimeout(() => {
+      elements.showExtraction.querySelector('.btn-text').textContent = 'Show What Little Elf Sees';
+    }, 2000);
+  }
+}
+
 /**
  * Toggle extension enabled state
  */
@@ -267,13 +458,20 @@ async function clearData() {
     if (tab && tab.url) {
       const result = await chrome.storage.local.get(['extractedContent']);
       const content = result.extractedContent || {};
+      const storedCanonicalUrl = content[tab.url]?.metadata?.canonicalUrl;
       delete content[tab.url];
       await chrome.storage.local.set({ extractedContent: content });
 
-      // Clear session data
-      const sessionKey = `session_${hashString(tab.url)}`;
-      const messagesKey = `messages_${hashString(tab.url)}`;
-      await chrome.storage.local.remove([sessionKey, messagesKey]);
+      // Clear session data (sessions may be keyed by the page's canonical URL)
+      const sessionUrls = [tab.url, storedCanonicalUrl]
+        .concat(await getCanonicalUrl(tab))
+        .filter(Boolean);
+      await chrome.storage.local.remove(sessionUrls.map(url => `session_${hashString(url)}`));
+
+      // Saved chats are written by the background, which may be saving an answer to one
+      await Promise.all(sessionUrls.map(sessionUrl => (
+        chrome.runtime.sendMessage({ type: 'SAVE_MESSAGES', sessionUrl, conversation: null })
+      )));
 
       // Reset stats display
       elements.charCount.textContent = '—';
@@ -0,0 +1,146 @@
+/**
+ * Little Elf - Conversation Tree
+ * A page's chat as a tree of messages: editing a question or regenerating an answer starts a sibling branch.
+ * Imported by the sidepanel and by the background, which saves answers that finish while the panel is closed.
+ */
+
+/**
+ * Create an empty conversation
+ * @returns {{nodes: Array<Object>, activeId: string|null}} Messages in the order they were added, and the
+ *     last message of the branch on screen
+ */
+export function createMessageTree() {
+    return { nodes: [], activeId: null };
+}
+
+/**
+ * Read a stored conversation
+ *
+ * Chats saved before branching are a flat list of messages; they become a
+ * single branch.
+ *
+ * @param {Object|Array|undefined} stored - Value of a messages_ storage key
+ * @returns {Object} Conversation tree
+ */
+export function toMessageTree(stored) {
+    if (!Array.isArray(stored)) {
+        return stored?.nodes ? stored : createMessageTree();
+    }
+
+    const nodes = stored.map((message, index) => ({
+        ...message,
+        id: `m${index}`,
+        parentId: index > 0 ? `m${index - 1}` : null,
+    }));
+    return { nodes, activeId: nodes.length ? nodes[nodes.length - 1].id : null };
+}
+
+/**
+ * Combine a saved conversation with a newer copy of it
+ *
+ * The copy's messages and branch win. Messages only the saved one has, such as
+ * answers saved after the copy was taken, are kept; replies to the copy's last
+ * message extend the branch on screen.
+ *
+ * @param {Object} stored - Conversation as saved
+ * @param {Object} incoming - Conversation with the latest changes
+ * @returns {Object} Conversation tree
+ */
+export function mergeMessageTrees(stored, incoming) {
+    const known = new Set(incoming.nodes.map(node => node.id));
+    const added = stored.nodes.filter(node => !known.has(node.id));
+    const tree = { nodes: [...incoming.nodes, ...added], activeId: incoming.activeId };
+
+    for (;;) {
+        const reply = added.filter(node => node.parentId === tree.activeId).pop();
+        if (!reply) return tree;
+        tree.activeId = reply.id;
+    }
+}
+
+/**
+ * Find a message by ID
+ * @param {Object} tree - Conversation tree
+ * @param {string|null} id - Message ID
+ * @returns {Object|undefined} Message
+ */
+export function getMessageNode(tree, id) {
+    return tree.nodes.find(node => node.id === id);
+}
+
+/**
+ * Get the branch leading to a message
+ * @param {Object} tree - Conversation tree
+ * @param {string|null} [id] - Last message of the branch; defaults to the active one
+ * @returns {Array<Object>} Messages from the first to the given one
+ */
+export function getMessagePath(tree, id = tree.activeId) {
+    const path = [];
+    for (let node = getMessageNode(tree, id); node; node = getMessageNode(tree, node.parentId)) {
+        path.unshift(node);
+    }
+    return path;
+}
+
+/**
+ * Get a message and its alternatives, oldest first
+ * @param {Object} tree - Conversation tree
+ * @param {Object} node - Message
+ * @returns {Array<Object>} Messages that answer or follow the same parent
+ */
+export function getMessageSiblings(tree, node) {
+    return tree.nodes.filter(candidate => candidate.parentId === node.parentId);
+}
+
+/**
+ * Find where a branch currently ends, following its newest replies
+ * @param {Object} tree - Conversation tree
+ * @param {string} id - Message the branch starts from
+ * @returns {string} ID of the last message
+ */
+export function getLatestLeafId(tree, id) {
+    let leafId = id;
+    for (;;) {
+        const children = tree.nodes.filter(node => node.parentId === leafId);
+        if (children.length === 0) return leafId;
+        leafId = children[children.length - 1].id;
+    }
+}
+
+/**
+ * Add a message and make its branch the active one
+ * @param {Object} tree - Conversation tree
+ * @param {Object} fields - role, content and any extra fields
+ * @param {string|null} [parentId] - Message it follows; defaults to the end of the active branch
+ * @returns {Object} The new message
+ */
+export function addMessageNode(tree, fields, parentId = tree.activeId) {
+    const node = {
+        ...fields,
+        id: crypto.randomUUID(),
+        parentId: parentId || null,
+        timestamp: new Date().toISOString(),
+    };
+    tree.nodes.push(node);
+    tree.activeId = node.id;
+    return node;
+}
+
+/**
+ * Get the backend thread a branch continues in
+ *
+ * The backend's threads are linear, so every new branch gets its own thread;
+ * messages added to an existing branch inherit it from the nearest message
+ * above them that started one.
+ *
+ * @param {Object} tree - Conversation tree
+ * @param {string|null} id - Last message of the branch
+ * @param {string} fallback - The session's original thread
+ * @returns {string} Thread ID
+ */
+export function getMessageThreadId(tree, id, fallback) {
+    for (let node = getMessageNode(tree, id); node; node = getMessageNode(tree, node.parentId)) {
+        if (node.threadId) return node.threadId;
+    }
+    return fallback;
+}
@@ -0,0 +1,938 @@
+/**
+ * Little Elf - Markdown Renderer
+ * Turns chat answers into sanitized DOM: GFM tables and task lists, safe links and highlighted code blocks
+ */
+
+// Tags the sanitizer keeps, with the attributes each may carry; anything else is unwrapped or dropped
+const MARKDOWN_ALLOWED_TAGS = {
+    A: ['href', 'title'],
+    BLOCKQUOTE: [],
+    BR: [],
+    CODE: ['class'],
+    DEL: [],
+    EM: [],
+    H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+    HR: [],
+    INPUT: ['type', 'checked'],
+    LI: ['class'],
+    OL: ['start', 'class'],
+    P: [],
+    PRE: [],
+    STRONG: [],
+    TABLE: [], THEAD: [], TBODY: [], TR: [],
+    TH: ['align'], TD: ['align'],
+    UL: ['class'],
+};
+
+// Elements removed with their content rather than unwrapped
+const MARKDOWN_DROPPED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH', 'NOSCRIPT', 'TEXTAREA', 'SELECT',
+]);
+
+// Class names the renderer itself sets
+const MARKDOWN_ALLOWED_CLASSES = /^(language-[\w+#.-]+|task-list-item|contains-task-list)$/;
+
+// Link targets that may be opened from an answer
+const MARKDOWN_SAFE_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+
+// Lines that start a block and so end a paragraph
+const MARKDOWN_FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const MARKDOWN_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MARKDOWN_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const MARKDOWN_QUOTE = /^ {0,3}> ?/;
+const MARKDOWN_LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+const MARKDOWN_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+/**
+ * Language families the highlighter knows, by the names code fences use for them
+ *
+ * Each family lists its comment and string syntax and its keywords; `extra` marks
+ * anything else worth coloring as a keyword (tag names, CSS properties).
+ */
+const HIGHLIGHT_LANGUAGES = (() => {
+    const cLike = 'break case catch class const continue default do else enum extends false final finally for ' +
+        'if implements import in instanceof interface new null private protected public return static super ' +
+        'switch this throw true try void while';
+
+    const families = {
+        js: {
+            names: ['js', 'javascript', 'jsx', 'mjs', 'cjs', 'ts', 'typescript', 'tsx'],
+            comments: ['//', ['/*', '*/']],
+            strings: ['"', "'", '`'],
+            keywords: `${cLike} as async await debugger delete export from function get let of set type typeof ` +
+                'undefined var yield readonly keyof declare namespace',
+        },
+        python: {
+            names: ['py', 'python', 'python3'],
+            comments: ['#'],
+            strings: ['"""', "'''", '"', "'"],
+            keywords: 'and as assert async await break class continue def del elif else except False finally for ' +
+                'from global if import in is lambda None nonlocal not or pass raise return True try while with yield self',
+        },
+        shell: {
+            names: ['sh', 'bash', 'zsh', 'shell', 'console', 'shellsession'],
+            comments: ['#'],
+            strings: ['"', "'"],
+            keywords: 'if then else elif fi for while until do done case esac in function return export local ' +
+                'echo cd sudo set unset source',
+        },
+        c: {
+            names: ['c', 'h', 'cpp', 'c++', 'hpp', 'cc', 'java', 'cs', 'csharp', 'kotlin', 'kt', 'swift', 'go',
+                'rust', 'rs', 'php', 'dart', 'scala'],
+            comments: ['//', ['/*', '*/']],
+            strings: ['"', "'"],
+            keywords: `${cLike} auto bool char double float fn func go goto impl int let long loop match mod ` +
+                'mut namespace nil package pub self short signed sizeof struct template trait typedef typename ' +
+                'union unsigned use using var virtual val fun def where override async await defer chan map range ' +
+                'select string echo function',
+        },
+        ruby: {
+            names: ['rb', 'ruby'],
+            comments: ['#'],
+            strings: ['"', "'"],
+            keywords: 'alias and begin break case class def defined? do else elsif end ensure false for if in ' +
+                'module next nil not or redo rescue retry return self super then true undef unless until when while yield',
+        },
+        sql: {
+            names: ['sql', 'mysql', 'postgres', 'postgresql', 'sqlite'],
+            comments: ['--', ['/*', '*/']],
+            strings: ["'", '"'],
+            keywords: 'select from where and or not insert into values update set delete create table drop alter ' +
+                'index join left right inner outer on as group by order having limit offset distinct null is in ' +
+                'like between case when then else end primary key foreign references union all exists',
+            ignoreCase: true,
+        },
+        json: {
+            names: ['json', 'jsonc', 'json5'],
+            comments: ['//', ['/*', '*/']],
+            strings: ['"'],
+            keywords: 'true false null',
+        },
+        yaml: {
+            names: ['yaml', 'yml', 'toml', 'ini'],
+            comments: ['#'],
+            strings: ['"', "'"],
+            keywords: 'true false null yes no on off',
+            extra: /^[ \t-]*[\w.-]+(?=[ \t]*[:=])/m,
+        },
+        css: {
+            names: ['css', 'scss', 'sass', 'less'],
+            comments: [['/*', '*/'], '//'],
+            strings: ['"', "'"],
+            keywords: 'important media import from to',
+            extra: /[\w-]+(?=[ \t]*:[^:{;]*;)/,
+        },
+        markup: {
+            names: ['html', 'xml', 'svg', 'xhtml', 'vue', 'svelte'],
+            comments: [['<!--', '-->']],
+            strings: ['"', "'"],
+            keywords: '',
+            extra: /<\/?[\w:-]+|\/?>/,
+        },
+    };
+
+    const byName = {};
+    Object.values(families).forEach((family) => {
+        family.pattern = buildHighlightPattern(family);
+        family.names.forEach((name) => {
+            byName[name] = family;
+        });
+    });
+    return byName;
+})();
+
+/**
+ * Build one regular expression that finds a language's tokens, one capture group per token kind
+ * @param {Object} family - Entry of HIGHLIGHT_LANGUAGES
+ * @returns {RegExp} Global pattern with groups comment, string, number, keyword, extra
+ */
+function buildHighlightPattern(family) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const comments = family.comments.map(comment => (Array.isArray(comment) ?
+        `${escape(comment[0])}[\\s\\S]*?(?:${escape(comment[1])}|$)` :
+        `${escape(comment)}.*`));
+
+    const strings = family.strings.map((quote) => {
+        if (quote.length === 3) {
+            return `${escape(quote)}[\\s\\S]*?(?:${escape(quote)}|$)`;
+        }
+        const q = escape(quote);
+        const newline = quote === '`' ? '' : '\\n';
+        return `${q}(?:\\\\[\\s\\S]|[^${q}\\\\${newline}])*${q}?`;
+    });
+
+    const keywords = family.keywords ?
+        `\\b(?:${family.keywords.split(' ').map(escape).join('|')})(?![\\w$?])` :
+        '(?!)';
+
+    // Shell comments only start at a word boundary, not in the middle of a URL's fragment
+    const comment = family.names.includes('sh') ? `(?:^|(?<=\\s))(?:${comments.join('|')})` : comments.join('|');
+
+    return new RegExp([
+        `(${comment})`,
+        `(${strings.join('|')})`,
+        '(\\b(?:0x[\\da-f]+|\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?)\\b)',
+        `(${keywords})`,
+        `(${family.extra ? family.extra.source : '(?!)'})`,
+    ].join('|'), `g${family.ignoreCase ? 'i' : ''}${family.extra?.multiline ? 'm' : ''}`);
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdownHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Count a line's leading indentation, with tabs to the next multiple of four
+ * @param {string} line - Line of Markdown
+ * @returns {number} Columns of indentation
+ */
+function getMarkdownIndent(line) {
+    let columns = 0;
+    for (const char of line) {
+        if (char === ' ') columns++;
+        else if (char === '\t') columns += 4 - (columns % 4);
+        else break;
+    }
+    return columns;
+}
+
+/**
+ * Remove up to a number of columns of indentation from a line
+ * @param {string} line - Line of Markdown
+ * @param {number} columns - Columns to remove
+ * @returns {string} Outdented line
+ */
+function outdentMarkdownLine(line, columns) {
+    let removed = 0;
+    let index = 0;
+    while (index < line.length && removed < columns) {
+        if (line[index] === ' ') removed++;
+        else if (line[index] === '\t') removed += 4 - (removed % 4);
+        else break;
+        index++;
+    }
+    return line.slice(index);
+}
+
+/**
+ * Split a table row into its cells, keeping pipes that are escaped or inside code spans
+ * @param {string} line - Table row
+ * @returns {string[]} Cell texts
+ */
+function splitTableRow(line) {
+    const cells = [];
+    let cell = '';
+    let inCode = false;
+
+    const row = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+    for (let i = 0; i < row.length; i++) {
+        const char = row[i];
+        if (char === '\\' && row[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (char === '`') {
+            inCode = !inCode;
+            cell += char;
+        } else if (char === '|' && !inCode) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Check whether a line starts a table, with the delimiter row under it
+ * @param {string[]} lines - Lines of Markdown
+ * @param {number} index - Line to check
+ * @returns {boolean} True for a header row followed by a matching delimiter row
+ */
+function isTableStart(lines, index) {
+    const header = lines[index];
+    const delimiter = lines[index + 1];
+    if (!header?.includes('|') || delimiter === undefined || !MARKDOWN_TABLE_DELIMITER.test(delimiter)) {
+        return false;
+    }
+    return splitTableRow(header).length === splitTableRow(delimiter).length;
+}
+
+/**
+ * Check whether a line starts a block that interrupts a paragraph
+ * @param {string[]} lines - Lines of Markdown
+ * @param {number} index - Line to check
+ * @returns {boolean} True for fences, headings, rules, quotes, list items and tables
+ */
+function startsMarkdownBlock(lines, index) {
+    const line = lines[index];
+    return MARKDOWN_FENCE.test(line) ||
+        MARKDOWN_HEADING.test(line) ||
+        MARKDOWN_RULE.test(line) ||
+        MARKDOWN_QUOTE.test(line) ||
+        (MARKDOWN_LIST_ITEM.test(line) && line.replace(MARKDOWN_LIST_ITEM, '').trim() !== '') ||
+        isTableStart(lines, index);
+}
+
+/**
+ * Render a list starting at a line
+ * @param {string[]} lines - Lines of Markdown
+ * @param {number} start - First item's line
+ * @returns {{html: string, end: number}} List HTML and the line after it
+ */
+function renderMarkdownList(lines, start) {
+    const [, indent, marker] = lines[start].match(MARKDOWN_LIST_ITEM);
+    const ordered = /\d/.test(marker);
+    const delimiter = marker[marker.length - 1];
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(MARKDOWN_LIST_ITEM);
+        if (!match || /\d/.test(match[2]) !== ordered || match[2][match[2].length - 1] !== delimiter ||
+            match[1].length > indent.length + 3) {
+            break;
+        }
+
+        // Content lines up with the first character after the marker
+        const rest = lines[i].slice(match[0].length);
+        const spacing = match[3].length > 4 || rest === '' ? 1 : match[3].length;
+        const contentIndent = match[1].length + match[2].length + spacing;
+        const itemLines = [lines[i].slice(match[1].length + match[2].length + Math.min(match[3].length, spacing))];
+        i++;
+
+        let sawBlank = false;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (line.trim() === '') {
+                sawBlank = true;
+                itemLines.push('');
+                i++;
+            } else if (getMarkdownIndent(line) >= contentIndent) {
+                if (sawBlank) loose = true;
+                sawBlank = false;
+                itemLines.push(outdentMarkdownLine(line, contentIndent));
+                i++;
+            } else if (MARKDOWN_LIST_ITEM.test(line) && getMarkdownIndent(line) > match[1].length) {
+                // A sublist indented less than the item's text still belongs to the item
+                if (sawBlank) loose = true;
+                sawBlank = false;
+                itemLines.push(outdentMarkdownLine(line, getMarkdownIndent(line)));
+                i++;
+            } else if (!sawBlank && !startsMarkdownBlock(lines, i) && !MARKDOWN_LIST_ITEM.test(line)) {
+                // A lazy continuation of the item's paragraph
+                itemLines.push(line.trim());
+                i++;
+            } else {
+                break;
+            }
+        }
+
+        // A blank line between two items makes the whole list loose
+        while (itemLines[itemLines.length - 1] === '') itemLines.pop();
+        if (sawBlank && i < lines.length && MARKDOWN_LIST_ITEM.test(lines[i])) loose = true;
+
+        items.push({ number: parseInt(match[2], 10), lines: itemLines });
+    }
+
+    let hasTasks = false;
+    const html = items.map((item) => {
+        const task = item.lines[0].match(/^\[([ xX])\][ \t]+/);
+        if (task) {
+            hasTasks = true;
+            item.lines[0] = item.lines[0].slice(task[0].length);
+        }
+
+        const body = renderMarkdownBlocks(item.lines, !loose);
+        return task ?
+            `<li class="task-list-item"><input type="checkbox"${task[1] === ' ' ? '' : ' checked'}> ${body}</li>` :
+            `<li>${body}</li>`;
+    }).join('');
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && items[0].number !== 1 ? ` start="${items[0].number}"` : '';
+    const classAttr = hasTasks ? ' class="contains-task-list"' : '';
+    return { html: `<${tag}${startAttr}${classAttr}>${html}</${tag}>`, end: i };
+}
+
+/**
+ * Render a table starting at its header row
+ * @param {string[]} lines - Lines of Markdown
+ * @param {number} start - Header row's line
+ * @returns {{html: string, end: number}} Table HTML and the line after it
+ */
+function renderMarkdownTable(lines, start) {
+    const headers = splitTableRow(lines[start]);
+    const aligns = splitTableRow(lines[start + 1]).map((cell) => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return '';
+    });
+
+    const renderRow = (cells, tag) => '<tr>' + headers.map((_, column) => {
+        const align = aligns[column] ? ` align="${aligns[column]}"` : '';
+        return `<${tag}${align}>${renderMarkdownInline(cells[column] || '')}</${tag}>`;
+    }).join('') + '</tr>';
+
+    let i = start + 2;
+    const rows = [];
+    while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|') && !startsMarkdownBlock(lines, i)) {
+        rows.push(renderRow(splitTableRow(lines[i]), 'td'));
+        i++;
+    }
+
+    const body = rows.length ? `<tbody>${rows.join('')}</tbody>` : '';
+    return { html: `<table><thead>${renderRow(headers, 'th')}</thead>${body}</table>`, end: i };
+}
+
+/**
+ * Render block-level Markdown
+ * @param {string[]} lines - Lines of Markdown
+ * @param {boolean} [tight] - Inside a tight list item, where paragraphs are not wrapped in <p>
+ * @returns {string} HTML with all text escaped
+ */
+function renderMarkdownBlocks(lines, tight = false) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        // Fenced code; an unclosed fence runs to the end, as it does while an answer streams in
+        const fence = line.match(MARKDOWN_FENCE);
+        if (fence) {
+            const fenceIndent = getMarkdownIndent(line);
+            const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}[ \\t]*$`);
+            const code = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) {
+                code.push(outdentMarkdownLine(lines[i], fenceIndent));
+                i++;
+            }
+            i++;
+
+            const language = fence[2].replace(/^\{?\.?/, '').replace(/\}$/, '').toLowerCase();
+            const classAttr = language ? ` class="language-${escapeMarkdownHtml(language)}"` : '';
+            html.push(`<pre><code${classAttr}>${escapeMarkdownHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(MARKDOWN_HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderMarkdownInline(heading[2] || '')}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (MARKDOWN_RULE.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (MARKDOWN_QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trim() !== '' &&
+                (MARKDOWN_QUOTE.test(lines[i]) || !startsMarkdownBlock(lines, i))) {
+                quoted.push(lines[i].replace(MARKDOWN_QUOTE, ''));
+                i++;
+            }
+            html.push(`<blockquote>${renderMarkdownBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+
+        if (MARKDOWN_LIST_ITEM.test(line)) {
+            const list = renderMarkdownList(lines, i);
+            html.push(list.html);
+            i = list.end;
+            continue;
+        }
+
+        if (isTableStart(lines, i)) {
+            const table = renderMarkdownTable(lines, i);
+            html.push(table.html);
+            i = table.end;
+            continue;
+        }
+
+        if (getMarkdownIndent(line) >= 4 && !tight) {
+            const code = [];
+            while (i < lines.length && (getMarkdownIndent(lines[i]) >= 4 || lines[i].trim() === '')) {
+                code.push(outdentMarkdownLine(lines[i], 4));
+                i++;
+            }
+            while (code[code.length - 1] === '') code.pop();
+            html.push(`<pre><code>${escapeMarkdownHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() !== '' && !startsMarkdownBlock(lines, i)) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+
+        const text = renderMarkdownInline(paragraph.join('\n'));
+        html.push(tight ? text : `<p>${text}</p>`);
+    }
+
+    return html.join('');
+}
+
+/**
+ * Check how a run of emphasis characters sits between its neighbours
+ * @param {string} text - Inline text
+ * @param {number} start - First character of the run
+ * @param {number} end - Index after the run
+ * @returns {{left: boolean, right: boolean}} Whether it can open and whether it can close emphasis
+ */
+function getDelimiterFlanking(text, start, end) {
+    const before = start > 0 ? text[start - 1] : ' ';
+    const after = end < text.length ? text[end] : ' ';
+    const isSpace = char => /\s/.test(char);
+    const isPunctuation = char => /[!-/:-@[-`{-~\p{P}]/u.test(char);
+
+    const left = !isSpace(after) && (!isPunctuation(after) || isSpace(before) || isPunctuation(before));
+    const right = !isSpace(before) && (!isPunctuation(before) || isSpace(after) || isPunctuation(after));
+
+    // Underscores inside a word are just underscores
+    if (text[start] === '_') {
+        return { left: left && (!right || isPunctuation(before)), right: right && (!left || isPunctuation(after)) };
+    }
+    return { left, right };
+}
+
+/**
+ * Find the run that closes an emphasis, skipping code spans, escapes and nested emphasis
+ * @param {string} text - Inline text
+ * @param {number} from - Index after the opening run
+ * @param {string} char - *, _ or ~
+ * @param {number} length - Length of the closing run
+ * @returns {number} Index of the closing run, or -1
+ */
+function findEmphasisCloser(text, from, char, length) {
+    let i = from;
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+            continue;
+        }
+
+        if (text[i] === '`') {
+            const run = text.slice(i).match(/^`+/)[0];
+            const close = text.indexOf(run, i + run.length);
+            i = close === -1 ? i + run.length : close + run.length;
+            continue;
+        }
+
+        if (text[i] !== char) {
+            i++;
+            continue;
+        }
+
+        let end = i;
+        while (text[end] === char) end++;
+        const run = end - i;
+        const { left, right } = getDelimiterFlanking(text, i, end);
+
+        if (right && run === length && i > from) {
+            return i;
+        }
+
+        if (left && !right && char !== '~') {
+            // An inner emphasis opens here; skip to after its own closer
+            const inner = findEmphasisCloser(text, end, char, Math.min(run, 2));
+            i = inner === -1 ? end : inner + Math.min(run, 2);
+            continue;
+        }
+
+        i = end;
+    }
+    return -1;
+}
+
+/**
+ * Find where a link's destination ends
+ * @param {string} text - Inline text
+ * @param {number} start - Index after "]("
+ * @returns {{href: string, title: string, end: number}|null} Destination, title and the index after ")"
+ */
+function parseLinkDestination(text, start) {
+    const rest = text.slice(start);
+    const match = rest.match(/^[ \t\n]*(?:<([^<>\n]*)>|((?:\\.|[^\s()\\]|\((?:\\.|[^\s()\\])*\))*))(?:[ \t\n]+("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\((?:\\.|[^)\\])*\)))?[ \t\n]*\)/);
+    if (!match) return null;
+
+    const unescape = value => value.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+    return {
+        href: unescape(match[1] ?? match[2] ?? ''),
+        title: match[3] ? unescape(match[3].slice(1, -1)) : '',
+        end: start + match[0].length,
+    };
+}
+
+/**
+ * Find the "]" that closes a link's text
+ * @param {string} text - Inline text
+ * @param {number} start - Index after "["
+ * @returns {number} Index of the "]", or -1
+ */
+function findLinkTextEnd(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '`') {
+            const run = text.slice(i).match(/^`+/)[0];
+            const close = text.indexOf(run, i + run.length);
+            if (close !== -1) i = close + run.length - 1;
+        } else if (text[i] === '[') {
+            depth++;
+        } else if (text[i] === ']') {
+            if (depth === 0) return i;
+            depth--;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Render inline Markdown
+ * @param {string} text - Text of one block, lines joined with "\n"
+ * @param {boolean} [inLink] - Inside a link's text, where links can't nest
+ * @returns {string} HTML with all text escaped
+ */
+function renderMarkdownInline(text, inLink = false) {
+    let html = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        // Escaped punctuation is literal; a backslash before a line break is a hard break
+        if (char === '\\' && i + 1 < text.length) {
+            const next = text[i + 1];
+            if (/[!-/:-@[-`{-~]/.test(next)) {
+                html += escapeMarkdownHtml(next);
+                i += 2;
+                continue;
+            }
+            if (next === '\n') {
+                html += '<br>';
+                i += 2;
+                continue;
+            }
+        }
+
+        if (char === '`') {
+            const run = text.slice(i).match(/^`+/)[0];
+            const close = text.indexOf(run, i + run.length);
+            // A longer run is not a closer
+            if (close !== -1 && text[close + run.length] !== '`') {
+                let code = text.slice(i + run.length, close).replace(/\n/g, ' ');
+                if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+                html += `<code>${escapeMarkdownHtml(code)}</code>`;
+                i = close + run.length;
+                continue;
+            }
+            html += run;
+            i += run.length;
+            continue;
+        }
+
+        // Autolinks: <https://…> and <name@example.com>
+        if (char === '<' && !inLink) {
+            const autolink = text.slice(i).match(/^<((?:https?|mailto):[^\s<>]+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+)>/i);
+            if (autolink) {
+                const href = autolink[1].includes(':') ? autolink[1] : `mailto:${autolink[1]}`;
+                html += `<a href="${escapeMarkdownHtml(href)}">${escapeMarkdownHtml(autolink[1])}</a>`;
+                i += autolink[0].length;
+                continue;
+            }
+        }
+
+        // Links and images; images are shown as links so answers never load remote content
+        if (!inLink && (char === '[' || (char === '!' && text[i + 1] === '['))) {
+            const isImage = char === '!';
+            const labelStart = i + (isImage ? 2 : 1);
+            const labelEnd = findLinkTextEnd(text, labelStart);
+            const destination = labelEnd !== -1 && text[labelEnd + 1] === '(' &&
+                parseLinkDestination(text, labelEnd + 2);
+            if (destination) {
+                const label = text.slice(labelStart, labelEnd);
+                const inner = isImage ?
+                    `🖼 ${escapeMarkdownHtml(label || 'Image')}` :
+                    renderMarkdownInline(label, true);
+                const title = destination.title ? ` title="${escapeMarkdownHtml(destination.title)}"` : '';
+                html += `<a href="${escapeMarkdownHtml(destination.href)}"${title}>${inner}</a>`;
+                i = destination.end;
+                continue;
+            }
+        }
+
+        // Bare URLs, as GFM links them
+        if (!inLink && (char === 'h' || char === 'w') && (i === 0 || /[\s*_~(]/.test(text[i - 1]))) {
+            const url = text.slice(i).match(/^(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:;*_~'"]/);
+            if (url) {
+                let link = url[0];
+                // A closing parenthesis belongs to the URL only if it opened one
+                while (link.endsWith(')') && (link.match(/\(/g) || []).length < (link.match(/\)/g) || []).length) {
+                    link = link.slice(0, -1);
+                }
+                const href = link.startsWith('www.') ? `https://${link}` : link;
+                html += `<a href="${escapeMarkdownHtml(href)}">${escapeMarkdownHtml(link)}</a>`;
+                i += link.length;
+                continue;
+            }
+        }
+
+        if (char === '*' || char === '_' || char === '~') {
+            let end = i;
+            while (text[end] === char) end++;
+            const run = end - i;
+            const { left } = getDelimiterFlanking(text, i, end);
+
+            // ***both*** first, then **strong**, then *em*; ~~ and ~ strike through
+            const lengths = char === '~' ? [run].filter(n => n <= 2) : [3, 2, 1].filter(n => n <= run);
+            let rendered = false;
+            for (const length of left ? lengths : []) {
+                const start = i + run - length;
+                const close = findEmphasisCloser(text, start + length, char, length);
+                if (close === -1) continue;
+
+                const inner = renderMarkdownInline(text.slice(start + length, close), inLink);
+                const wrapped = char === '~' ? `<del>${inner}</del>` :
+                    length === 3 ? `<em><strong>${inner}</strong></em>` :
+                        length === 2 ? `<strong>${inner}</strong>` :
+                            `<em>${inner}</em>`;
+                html += escapeMarkdownHtml(text.slice(i, start)) + wrapped;
+                i = close + length;
+                rendered = true;
+                break;
+            }
+            if (rendered) continue;
+
+            html += escapeMarkdownHtml(text.slice(i, end));
+            i = end;
+            continue;
+        }
+
+        if (char === '\n') {
+            html = html.replace(/ +$/, '');
+            html += '<br>';
+            i++;
+            while (text[i] === ' ') i++;
+            continue;
+        }
+
+        html += escapeMarkdownHtml(char);
+        i++;
+    }
+
+    return html;
+}
+
+/**
+ * Check that a link target is safe to open
+ * @param {string} href - Link target
+ * @returns {boolean} True for absolute http(s) and mailto links
+ */
+function isSafeMarkdownLink(href) {
+    try {
+        return MARKDOWN_SAFE_PROTOCOLS.has(new URL(href).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Keep only allowlisted elements and attributes
+ *
+ * The renderer escapes all text it is given, so this is a second line of defence:
+ * whatever reaches the DOM is limited to the tags, attributes, classes and link
+ * protocols the renderer itself produces.
+ *
+ * @param {string} html - Rendered HTML
+ * @returns {DocumentFragment} Sanitized content
+ */
+function sanitizeMarkdownHtml(html) {
+    // Template content is inert: nothing in it runs or loads while it is checked
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const visit = (parent) => {
+        Array.from(parent.childNodes).forEach((node) => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.tagName.toUpperCase();
+            const allowed = MARKDOWN_ALLOWED_TAGS[tag];
+
+            if (!allowed) {
+                if (MARKDOWN_DROPPED_TAGS.has(tag)) {
+                    node.remove();
+                } else {
+                    visit(node);
+                    node.replaceWith(...node.childNodes);
+                }
+                return;
+            }
+
+            Array.from(node.attributes).forEach((attribute) => {
+                if (!allowed.includes(attribute.name)) {
+                    node.removeAttribute(attribute.name);
+                }
+            });
+
+            if (node.hasAttribute('class')) {
+                const classes = node.getAttribute('class').split(/\s+/).filter(name => MARKDOWN_ALLOWED_CLASSES.test(name));
+                node.setAttribute('class', classes.join(' '));
+            }
+
+            if (tag === 'A') {
+                if (!isSafeMarkdownLink(node.getAttribute('href'))) {
+                    node.removeAttribute('href');
+                } else {
+                    node.setAttribute('target', '_blank');
+                    node.setAttribute('rel', 'noopener noreferrer');
+                }
+            } else if (tag === 'INPUT') {
+                if (node.getAttribute('type') !== 'checkbox') {
+                    node.remove();
+                    return;
+                }
+                node.setAttribute('disabled', '');
+            } else if ((tag === 'TH' || tag === 'TD') && !['left', 'center', 'right'].includes(node.getAttribute('align'))) {
+                node.removeAttribute('align');
+            } else if (tag === 'OL' && !/^\d+$/.test(node.getAttribute('start') || '1')) {
+                node.removeAttribute('start');
+            }
+
+            visit(node);
+        });
+    };
+
+    visit(template.content);
+    return template.content;
+}
+
+/**
+ * Color a code block's tokens
+ * @param {HTMLElement} codeEl - <code> inside a <pre>, holding plain text
+ * @param {string} language - Fence language
+ */
+function highlightCode(codeEl, language) {
+    const family = HIGHLIGHT_LANGUAGES[language];
+    if (!family) return;
+
+    const text = codeEl.textContent;
+    const kinds = ['comment', 'string', 'number', 'keyword', 'keyword'];
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+
+    family.pattern.lastIndex = 0;
+    for (const match of text.matchAll(family.pattern)) {
+        if (!match[0]) continue;
+
+        const kind = kinds[match.slice(1).findIndex(group => group !== undefined)];
+        if (match.index > last) {
+            fragment.append(text.slice(last, match.index));
+        }
+
+        const span = document.createElement('span');
+        span.className = `tok-${kind}`;
+        span.textContent = match[0];
+        fragment.append(span);
+        last = match.index + match[0].length;
+    }
+    fragment.append(text.slice(last));
+
+    codeEl.replaceChildren(fragment);
+}
+
+/**
+ * Put a code block in a frame with its language and a copy button
+ * @param {HTMLPreElement} pre - Code block
+ * @param {string} language - Fence language, if any
+ * @param {boolean} copyButton - Whether to add the copy button
+ */
+function frameCodeBlock(pre, language, copyButton) {
+    const block = document.createElement('div');
+    block.className = 'code-block';
+
+    const header = document.createElement('div');
+    header.className = 'code-header';
+
+    const label = document.createElement('span');
+    label.className = 'code-language';
+    label.textContent = language || 'text';
+    header.appendChild(label);
+
+    if (copyButton) {
+        const button = document.createElement('button');
+        button.className = 'code-copy';
+        button.textContent = 'Copy';
+        button.title = 'Copy code';
+        button.addEventListener('click', () => {
+            navigator.clipboard.writeText(pre.textContent).then(() => {
+                button.textContent = 'Copied!';
+                setTimeout(() => button.textContent = 'Copy', 1500);
+            });
+        });
+        header.appendChild(button);
+    }
+
+    pre.replaceWith(block);
+    block.append(header, pre);
+}
+
+/**
+ * Render Markdown into sanitized DOM
+ * @param {string} markdown - Markdown text, possibly still streaming in
+ * @param {Object} [options]
+ * @param {boolean} [options.copyButtons] - Add a copy button to each code block
+ * @returns {DocumentFragment} Rendered content
+ */
+function renderMarkdown(markdown, { copyButtons = true } = {}) {
+    const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const fragment = sanitizeMarkdownHtml(renderMarkdownBlocks(lines));
+
+    fragment.querySelectorAll('pre > code').forEach((codeEl) => {
+        const language = (codeEl.className.match(/language-([\w+#.-]+)/) || [])[1] || '';
+        highlightCode(codeEl, language);
+        frameCodeBlock(codeEl.parentElement, language, copyButtons);
+    });
+
+    // Wide tables scroll on their own instead of widening the message
+    fragment.querySelectorAll('table').forEach((table) => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'table-wrap';
+        table.replaceWith(wrapper);
+        wrapper.appendChild(table);
+    });
+
+    return fragment;
+}
@@ -0,0 +1,161 @@
+/**
+ * Little Elf - Content Parts
+ * Long pages are split into parts aligned to headings and stored across several requests
+ */
+
+/**
+ * Split long Markdown content into ordered parts aligned to headings
+ * @param {string} content - Full page content
+ * @param {number} maxLength - Maximum characters per part
+ * @returns {Array<Object>} Parts with index, heading and content
+ */
+export function splitContentIntoParts(content, maxLength) {
+    if (content.length <= maxLength) {
+        return [{ index: 0, heading: '', content }];
+    }
+
+    // Break into sections at headings that are not inside code fences
+    const sections = [];
+    let current = { heading: '', lines: [] };
+    let inFence = false;
+
+    content.split('\n').forEach((line) => {
+        if (/^(```|~~~)/.test(line)) inFence = !inFence;
+
+        const headingMatch = !inFence && line.match(/^#{1,6}\s+(.*)$/);
+        if (headingMatch && current.lines.length > 0) {
+            sections.push(current);
+            current = { heading: headingMatch[1].trim(), lines: [] };
+        } else if (headingMatch) {
+            current.heading = headingMatch[1].trim();
+        }
+        current.lines.push(line);
+    });
+    sections.push(current);
+
+    // Sections larger than a part are cut at paragraph, then line, then character boundaries
+    const pieces = [];
+    sections.forEach((section) => {
+        const text = section.lines.join('\n');
+        splitOversizedText(text, maxLength).forEach((piece, pieceIndex) => {
+            pieces.push({ heading: section.heading, continued: pieceIndex > 0, text: piece });
+        });
+    });
+
+    // Pack pieces into parts without crossing the size limit
+    const parts = [];
+    let part = null;
+    pieces.forEach((piece) => {
+        if (part && part.content.length + piece.text.length + 2 <= maxLength) {
+            part.content += '\n\n' + piece.text;
+            return;
+        }
+        part = {
+            index: parts.length,
+            heading: piece.continued && piece.heading ? `${piece.heading} (continued)` : piece.heading,
+            content: piece.text,
+        };
+        parts.push(part);
+    });
+
+    return parts;
+}
+
+/**
+ * Split text into chunks no longer than maxLength, preferring natural boundaries
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum chunk length
+ * @returns {string[]} Chunks in order
+ */
+export function splitOversizedText(text, maxLength) {
+    if (text.length <= maxLength) return [text];
+
+    const chunks = [];
+    let remaining = text;
+
+    while (remaining.length > maxLength) {
+        const head = remaining.substring(0, maxLength);
+        let cut = head.lastIndexOf('\n\n');
+        if (cut < maxLength / 2) cut = head.lastIndexOf('\n');
+        if (cut < maxLength / 2) cut = head.lastIndexOf(' ');
+        if (cut < maxLength / 2) cut = maxLength;
+
+        chunks.push(remaining.substring(0, cut).trim());
+        remaining = remaining.substring(cut).trim();
+    }
+
+    if (remaining.length > 0) chunks.push(remaining);
+    return chunks;
+}
+
+/**
+ * Store content parts in the backend, one request per part
+ *
+ * Later parts name the contentId the first one got, so the backend appends them to
+ * the same document.
+ *
+ * @param {Array<Object>} parts - Parts from splitContentIntoParts()
+ * @param {Object} options
+ * @param {Object} options.page - url, title, description, metadata and headings, sent with every part
+ * @param {Object} options.structured - Tables, code blocks and transcripts, sent with the first part only
+ * @param {number} options.totalLength - Length of the content before splitting
+ * @param {Function} options.store - Sends one request body and resolves to the backend's reply
+ * @param {Function} [options.onPart] - Called with each part before it is sent
+ * @returns {Promise<Object>} contentId and capture summary
+ */
+export async function storeContentParts(parts, { page, structured, totalLength, store, onPart = () => { } }) {
+    const capture = {
+        totalLength,
+        storedLength: 0,
+        totalParts: parts.length,
+        storedParts: 0,
+    };
+
+    // Short pages keep the single-request format
+    if (parts.length === 1) {
+        const result = await store({ ...page, ...structured, content: parts[0].content });
+        capture.storedLength = capture.totalLength;
+        capture.storedParts = 1;
+        return { contentId: result.contentId, capture };
+    }
+
+    let contentId = null;
+
+    for (const part of parts) {
+        onPart(part);
+
+        const label = part.heading ? `: ${part.heading}` : '';
+        const body = {
+            ...page,
+            ...(contentId ? { contentId } : structured),
+            content: `[Part ${part.index + 1} of ${parts.length}${label}]\n\n${part.content}`,
+            part: {
+                index: part.index,
+                total: parts.length,
+                heading: part.heading,
+            },
+        };
+
+        try {
+            const result = await store(body);
+
+            // A backend without paging stores each part as a document of its own; the
+            // session can only use the first, so stop and report the capture as partial
+            if (contentId && result.contentId !== contentId) {
+                console.warn(`[Little Elf] Backend does not append parts to a document; stored ${capture.storedParts} of ${parts.length} parts`);
+                break;
+            }
+
+            contentId = contentId || result.contentId;
+            capture.storedParts++;
+            capture.storedLength += part.content.length;
+        } catch (error) {
+            // Without the first part there is nothing to chat with
+            if (!contentId) throw error;
+            console.error(`[Little Elf] Failed to store part ${part.index + 1}/${parts.length}:`, error);
+            break;
+        }
+    }
+
+    return { contentId, capture };
+}
@@ -0,0 +1,270 @@
+/**
+ * Little Elf - PDF Extractor
+ * Reads PDFs with the bundled PDF.js into the same shape as extractPageData()
+ */
+
+const PDF_CONFIG = {
+    LIBRARY_PATH: 'lib/pdfjs/pdf.min.mjs',
+    WORKER_PATH: 'lib/pdfjs/pdf.worker.min.mjs',
+    CMAP_PATH: 'lib/pdfjs/cmaps/',
+    MAX_PAGES: 500,
+};
+
+// PDF.js module, loaded on first use
+let pdfjsLib = null;
+
+/**
+ * Check whether a URL points at a PDF file
+ * @param {string} url - Page URL
+ * @returns {boolean} True if the path ends in .pdf
+ */
+function isPdfUrl(url) {
+    try {
+        return /\.pdf$/i.test(new URL(url).pathname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get a PDF's file name from its URL
+ * @param {string} url - PDF URL
+ * @returns {string} Last path segment, decoded when its escapes are valid
+ */
+function getPdfFileName(url) {
+    const segment = new URL(url).pathname.split('/').pop() || 'document.pdf';
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+/**
+ * Load PDF.js and point it at the bundled worker
+ * @returns {Promise<Object>} PDF.js module
+ */
+async function loadPdfjs() {
+    if (!pdfjsLib) {
+        pdfjsLib = await import(chrome.runtime.getURL(PDF_CONFIG.LIBRARY_PATH));
+        pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL(PDF_CONFIG.WORKER_PATH);
+    }
+    return pdfjsLib;
+}
+
+/**
+ * Download a PDF, including local files once file access is granted
+ * @param {string} url - PDF URL
+ * @param {string} credentials - fetch() credentials mode
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function fetchPdfBytes(url, credentials) {
+    if (url.startsWith('file://')) {
+        const allowed = await chrome.extension.isAllowedFileSchemeAccess();
+        if (!allowed) {
+            throw new Error('Allow access to file URLs for Little Elf in chrome://extensions to read local PDFs');
+        }
+
+        // fetch() does not support file:// URLs, XHR does
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('GET', url);
+            xhr.responseType = 'arraybuffer';
+            xhr.onload = () => resolve(new Uint8Array(xhr.response));
+            xhr.onerror = () => reject(new Error('Could not read the local PDF'));
+            xhr.send();
+        });
+    }
+
+    const response = await fetch(url, { credentials });
+    if (!response.ok) {
+        throw new Error(`Could not download the PDF (HTTP ${response.status})`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Convert a PDF date ("D:20240115093000+01'00'") to ISO 8601
+ * @param {string} value - PDF date string
+ * @returns {string} ISO date or empty string
+ */
+function parsePdfDate(value) {
+    const match = typeof value === 'string' &&
+        value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/);
+    if (!match) return '';
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHour = '00', offsetMinute = '00'] = match;
+    const zone = sign && sign !== 'Z' && sign !== 'z' ? `${sign}${offsetHour}:${offsetMinute}` : 'Z';
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+    return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * Join the text items of a page into lines
+ * @param {Array<Object>} items - Items from page.getTextContent()
+ * @returns {string} Page text
+ */
+function joinPdfTextItems(items) {
+    let text = '';
+    let lastY = null;
+
+    items.forEach((item) => {
+        // Marked-content items carry no text
+        if (typeof item.str !== 'string') return;
+
+        const y = item.transform[5];
+        const lineHeight = item.height || 1;
+        if (lastY !== null && Math.abs(y - lastY) > lineHeight / 2 && !text.endsWith('\n')) {
+            text += '\n';
+        }
+
+        text += item.str;
+        if (item.hasEOL) text += '\n';
+        lastY = y;
+    });
+
+    return text
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Flatten the document outline into headings with the page they start on
+ * @param {Object} pdf - PDF.js document
+ * @returns {Promise<Array<Object>>} Headings with level, text and page
+ */
+async function extractPdfOutline(pdf) {
+    const outline = await pdf.getOutline();
+    const headings = [];
+
+    const visit = async (items, level) => {
+        for (const item of items || []) {
+            const text = (item.title || '').replace(/\s+/g, ' ').trim();
+            let page = null;
+
+            try {
+                const destination = typeof item.dest === 'string' ? await pdf.getDestination(item.dest) : item.dest;
+                if (Array.isArray(destination) && destination[0]) {
+                    page = await pdf.getPageIndex(destination[0]) + 1;
+                }
+            } catch {
+                // Outline entries can point at missing destinations
+            }
+
+            if (text && page) {
+                headings.push({ level, text: text.substring(0, 200), page });
+            }
+            await visit(item.items, level + 1);
+        }
+    };
+
+    await visit(outline, 1);
+    return headings;
+}
+
+/**
+ * Map the PDF info dictionary to the metadata shape used for web pages
+ * @param {Object} info - Info dictionary from pdf.getMetadata()
+ * @returns {Object} Metadata object
+ */
+function buildPdfMetadata(info) {
+    return {
+        canonicalUrl: '',
+        language: info.Language || '',
+        author: info.Author || '',
+        publishedAt: parsePdfDate(info.CreationDate),
+        modifiedAt: parsePdfDate(info.ModDate),
+        siteName: '',
+        keywords: info.Keywords || '',
+        openGraph: {},
+        article: {},
+        twitter: {},
+        jsonLd: [],
+    };
+}
+
+/**
+ * Extract a PDF into page data, marking every page so answers can cite it
+ * @param {string} url - PDF URL
+ * @param {Object} [options]
+ * @param {string} [options.credentials='include'] - Send cookies along; the open tab's PDF may need them
+ * @returns {Promise<Object>} Page data in the extractPageData() shape, plus pageCount
+ */
+async function extractPdfData(url, { credentials = 'include' } = {}) {
+    const pdfjs = await loadPdfjs();
+    const data = await fetchPdfBytes(url, credentials);
+    const loadingTask = pdfjs.getDocument({
+        data,
+        cMapUrl: chrome.runtime.getURL(PDF_CONFIG.CMAP_PATH),
+        cMapPacked: true,
+        isEvalSupported: false,
+    });
+
+    try {
+        const pdf = await loadingTask.promise;
+        const { info = {} } = await pdf.getMetadata().catch(() => ({}));
+        const metadata = buildPdfMetadata(info);
+        const headings = await extractPdfOutline(pdf);
+        const pageCount = Math.min(pdf.numPages, PDF_CONFIG.MAX_PAGES);
+        const sections = [];
+
+        const metadataSummary = formatPdfMetadataSummary(metadata, pdf.numPages);
+        if (metadataSummary) {
+            sections.push(`[Document metadata:]\n${metadataSummary}`);
+        }
+
+        for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const text = joinPdfTextItems((await page.getTextContent()).items);
+            page.cleanup();
+
+            // Outline headings go first so long PDFs split into parts at chapter boundaries
+            const pageHeadings = headings
+                .filter(heading => heading.page === pageNumber)
+                .map(heading => `${'#'.repeat(Math.min(heading.level, 6))} ${heading.text}`);
+
+            sections.push([...pageHeadings, `[Page ${pageNumber}]`, text].filter(Boolean).join('\n\n'));
+        }
+
+        if (pdf.numPages > pageCount) {
+            sections.push(`[Only the first ${pageCount} of ${pdf.numPages} pages were read]`);
+        }
+
+        const content = sections.join('\n\n');
+        const fileName = getPdfFileName(url);
+
+        return {
+            url,
+            title: info.Title || fileName,
+            description: info.Subject || '',
+            metadata,
+            headings,
+            tables: [],
+            codeBlocks: [],
+            content,
+            appliedRules: [],
+            pageCount: pdf.numPages,
+            timestamp: new Date().toISOString(),
+            contentLength: content.length,
+        };
+    } finally {
+        await loadingTask.destroy();
+    }
+}
+
+/**
+ * Render PDF metadata as a short text block
+ * @param {Object} metadata - Metadata from buildPdfMetadata()
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {string} Metadata lines
+ */
+function formatPdfMetadataSummary(metadata, pageCount) {
+    const lines = [`Pages: ${pageCount}`];
+    if (metadata.author) lines.push(`Author: ${metadata.author}`);
+    if (metadata.publishedAt) lines.push(`Created: ${metadata.publishedAt}`);
+    if (metadata.modifiedAt) lines.push(`Last modified: ${metadata.modifiedAt}`);
+    if (metadata.language) lines.push(`Language: ${metadata.language}`);
+    if (metadata.keywords) lines.push(`Keywords: ${metadata.keywords}`);
+    return lines.join('\n');
+}
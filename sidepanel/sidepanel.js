@@ -3,15 +3,72 @@
  * Main chat interface logic with backend integration
  */
 
+import {
+    addMessageNode,
+    createMessageTree,
+    getLatestLeafId,
+    getMessageNode,
+    getMessagePath,
+    getMessageSiblings,
+    getMessageThreadId,
+    toMessageTree,
+} from './conversation.js';
+import { splitContentIntoParts, storeContentParts } from './parts.js';
+
 // Configuration
 const CONFIG = {
     DEFAULT_API_URL: 'https://little-elf-backend.vercel.app',
     MAX_MESSAGE_LENGTH: 10000,
+    MAX_PART_LENGTH: 50000,
     DEBOUNCE_DELAY: 300,
     RETRY_ATTEMPTS: 3,
     RETRY_DELAY: 1000,
+    MAX_FOCUSED_CONTEXT_LENGTH: 12000,
+    CONTEXT_ACTION_MAX_AGE: 60000,
+    MAX_BRANCH_HISTORY_LENGTH: 20000,
+    MAX_CITATION_PREVIEW_LENGTH: 120,
+    // Must match CHAT_PORT in background/background.js
+    CHAT_PORT: 'little-elf-chat',
+    // Must match PAGE_WATCH_PORT in content/content.js
+    PAGE_WATCH_PORT: 'little-elf-page-watch',
 };
 
+// Stylesheet of HTML exports, which have to render without the extension
+const CHAT_EXPORT_STYLES = `
+    body { max-width: 760px; margin: 32px auto; padding: 0 16px; color: #1f2937; background: #ffffff;
+        font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    .source { color: #6b7280; margin-top: 0; }
+    .message { border-top: 1px solid #e5e7eb; padding: 8px 0; }
+    .message h3 { font-size: 13px; color: #6b7280; margin: 8px 0; }
+    .message.user .message-content { white-space: pre-wrap; }
+    .message.error .message-content { color: #b91c1c; }
+    a { color: #cc2a1f; }
+    blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid #e5e7eb; color: #4b5563; }
+    .table-wrap { overflow-x: auto; }
+    table { border-collapse: collapse; margin: 8px 0; }
+    th, td { border: 1px solid #e5e7eb; padding: 4px 8px; }
+    th { background: #f9fafb; }
+    code { background: #f3f4f6; padding: 1px 4px; border-radius: 4px; font-family: 'Fira Code', monospace; font-size: 0.9em; }
+    .code-block { margin: 8px 0; border-radius: 8px; overflow: hidden; background: #1f2937; }
+    .code-header { padding: 4px 12px; color: #9ca3af; font-size: 12px; background: #111827; }
+    pre { margin: 0; padding: 12px; overflow-x: auto; color: #f3f4f6; }
+    pre code { background: none; padding: 0; }
+    .tok-comment { color: #9ca3af; font-style: italic; }
+    .tok-string { color: #86efac; }
+    .tok-number { color: #fca5a5; }
+    .tok-keyword { color: #93c5fd; }
+    .task-list-item { list-style: none; }
+    .citation-ref { color: #cc2a1f; font-size: 0.75em; }
+    .citations { margin: 12px 0 0; padding-left: 20px; border-top: 1px solid #e5e7eb; color: #4b5563; font-size: 13px; }
+`;
+
+// Footnote references stand in the Markdown as private-use characters, which answers don't contain
+const CITATION_REF_PATTERN = /\uE000(\d+)\uE001/g;
+
+// file_search citation markers, like 【4:0†source】, including one still streaming in
+const CITATION_MARKER_PATTERN = /[ \t]*【[^】]*(?:】|$)/g;
+
 // State
 const state = {
     apiUrl: CONFIG.DEFAULT_API_URL,
@@ -19,11 +76,26 @@ const state = {
     contentId: null,
     assistantId: null,
     threadId: null,
+    currentTabId: null,
     currentPageUrl: null,
+    sessionUrl: null,
     currentPageTitle: null,
     isProcessing: false,
     isInitialized: false,
     totalTokens: 0,
+    capture: null,
+    safety: null,
+    pendingPageChange: null,
+    pageWatch: null,
+    focusedContext: null,
+    chatPort: null,
+    streamingEl: null,
+    extractionRules: [],
+    editingRuleId: null,
+    sitePolicy: normalizeSitePolicy(),
+    redaction: normalizeRedactionSettings(),
+    redactionMap: createRedactionMap(),
+    conversation: createMessageTree(),
     messages: [],
 };
 
@@ -38,6 +110,16 @@ function initElements() {
     elements.statusIndicator = document.getElementById('statusIndicator');
     elements.statusText = document.getElementById('statusText');
     elements.tokenUsage = document.getElementById('tokenUsage');
+    elements.captureInfo = document.getElementById('captureInfo');
+    elements.safetyBadge = document.getElementById('safetyBadge');
+    elements.safetyDetails = document.getElementById('safetyDetails');
+    elements.safetySummary = document.getElementById('safetySummary');
+    elements.safetyList = document.getElementById('safetyList');
+    elements.pageChangedBanner = document.getElementById('pageChangedBanner');
+    elements.pageChangedText = document.getElementById('pageChangedText');
+    elements.updateContextBtn = document.getElementById('updateContextBtn');
+    elements.newSessionBtn = document.getElementById('newSessionBtn');
+    elements.dismissPageChanged = document.getElementById('dismissPageChanged');
     elements.settingsPanel = document.getElementById('settingsPanel');
     elements.settingsBtn = document.getElementById('settingsBtn');
     elements.closeSettings = document.getElementById('closeSettings');
@@ -46,8 +128,26 @@ function initElements() {
     elements.openaiKey = document.getElementById('openaiKey');
     elements.clearConversation = document.getElementById('clearConversation');
     elements.exportChat = document.getElementById('exportChat');
+    elements.exportChatHtml = document.getElementById('exportChatHtml');
     elements.resetAll = document.getElementById('resetAll');
     elements.assistantStatus = document.getElementById('assistantStatus');
+    elements.rulesList = document.getElementById('rulesList');
+    elements.rulePattern = document.getElementById('rulePattern');
+    elements.ruleMainSelector = document.getElementById('ruleMainSelector');
+    elements.ruleExclude = document.getElementById('ruleExclude');
+    elements.ruleInclude = document.getElementById('ruleInclude');
+    elements.saveRuleBtn = document.getElementById('saveRuleBtn');
+    elements.cancelRuleBtn = document.getElementById('cancelRuleBtn');
+    elements.siteMode = document.getElementById('siteMode');
+    elements.siteAllowList = document.getElementById('siteAllowList');
+    elements.siteBlockList = document.getElementById('siteBlockList');
+    elements.saveSitePolicyBtn = document.getElementById('saveSitePolicyBtn');
+    elements.redactionEnabled = document.getElementById('redactionEnabled');
+    elements.redactionSite = document.getElementById('redactionSite');
+    elements.redactionSiteLabel = document.getElementById('redactionSiteLabel');
+    elements.redactionDetectors = document.getElementById('redactionDetectors');
+    elements.redactionPatterns = document.getElementById('redactionPatterns');
+    elements.saveRedactionPatternsBtn = document.getElementById('saveRedactionPatternsBtn');
     elements.welcomeScreen = document.getElementById('welcomeScreen');
     elements.setupScreen = document.getElementById('setupScreen');
     elements.setupKeyInput = document.getElementById('setupKeyInput');
@@ -55,9 +155,15 @@ function initElements() {
     elements.chatContainer = document.getElementById('chatContainer');
     elements.messages = document.getElementById('messages');
     elements.typingIndicator = document.getElementById('typingIndicator');
+    elements.citationTooltip = document.getElementById('citationTooltip');
     elements.messageInput = document.getElementById('messageInput');
     elements.charCounter = document.getElementById('charCounter');
+    elements.contextChip = document.getElementById('contextChip');
+    elements.contextChipLabel = document.getElementById('contextChipLabel');
+    elements.contextChipText = document.getElementById('contextChipText');
+    elements.clearContextChip = document.getElementById('clearContextChip');
     elements.sendBtn = document.getElementById('sendBtn');
+    elements.stopBtn = document.getElementById('stopBtn');
 }
 
 /**
@@ -93,6 +199,20 @@ function setupTabListeners() {
             initializeForCurrentPage();
         }
     });
+
+    // Listen for in-page route and content changes re-extracted by the content script
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.type === 'PAGE_CONTENT_CHANGED' && message.tabId === state.currentTabId) {
+            showPageChangedBanner(message);
+        }
+    });
+
+    // Context menu actions chosen while the sidepanel is already open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.pendingContextAction?.newValue && state.isInitialized) {
+            runPendingContextAction();
+        }
+    });
 }
 
 /**
@@ -133,9 +253,18 @@ function setupEventListeners() {
     // Refresh button
     elements.refreshBtn.addEventListener('click', refreshContext);
 
+    // Injection warning details
+    elements.safetyBadge.addEventListener('click', () => elements.safetyDetails.classList.toggle('hidden'));
+
+    // Page changed banner
+    elements.updateContextBtn.addEventListener('click', updateBackendContext);
+    elements.newSessionBtn.addEventListener('click', startSessionForChangedPage);
+    elements.dismissPageChanged.addEventListener('click', hidePageChangedBanner);
+
     // Settings actions
     elements.clearConversation.addEventListener('click', clearConversation);
     elements.exportChat.addEventListener('click', exportChat);
+    elements.exportChatHtml.addEventListener('click', exportChatHtml);
     elements.resetAll.addEventListener('click', resetAllData);
 
     // API URL change
@@ -144,10 +273,32 @@ function setupEventListeners() {
     // OpenAI API key change
     elements.openaiKey.addEventListener('change', saveOpenaiKey);
 
+    // Extraction rules
+    elements.saveRuleBtn.addEventListener('click', saveExtractionRule);
+    elements.cancelRuleBtn.addEventListener('click', resetRuleForm);
+
+    // Site access
+    elements.saveSitePolicyBtn.addEventListener('click', saveSitePolicy);
+
+    // Redaction
+    elements.redactionEnabled.addEventListener('change', toggleRedaction);
+    elements.redactionSite.addEventListener('change', toggleSiteRedaction);
+    elements.saveRedactionPatternsBtn.addEventListener('click', saveRedactionPatterns);
+
+    // Focused context
+    elements.clearContextChip.addEventListener('click', clearFocusedContext);
+
     // Message input
     elements.messageInput.addEventListener('input', handleInputChange);
     elements.messageInput.addEventListener('keydown', handleKeyDown);
     elements.sendBtn.addEventListener('click', sendMessage);
+    elements.stopBtn.addEventListener('click', stopAnswer);
+
+    // Citation tooltip closes on a click elsewhere or when the chat scrolls
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.citation-btn, .citation-tooltip')) hideCitationTooltip();
+    });
+    elements.chatContainer.addEventListener('scroll', hideCitationTooltip);
 
     // Setup screen
     elements.saveKeyBtn.addEventListener('click', saveKeyFromSetup);
@@ -177,6 +328,9 @@ async function loadSettings() {
             'apiUrl',
             'openaiKey',
             'totalTokens',
+            'extractionRules',
+            'sitePolicy',
+            'redaction',
         ]);
 
         if (result.apiUrl) {
@@ -193,6 +347,16 @@ async function loadSettings() {
             state.totalTokens = result.totalTokens;
             updateTokenDisplay();
         }
+
+        state.extractionRules = Array.isArray(result.extractionRules) ? result.extractionRules : [];
+        renderExtractionRules();
+
+        state.sitePolicy = normalizeSitePolicy(result.sitePolicy);
+        renderSitePolicy();
+
+        state.redaction = normalizeRedactionSettings(result.redaction);
+        elements.redactionPatterns.value = formatCustomPatterns(state.redaction.customPatterns);
+        renderRedactionSettings();
     } catch (error) {
         console.error('[Little Elf] Error loading settings:', error);
     }
@@ -218,11 +382,359 @@ async function saveOpenaiKey() {
     showNotification(key ? 'API Key saved' : 'API Key cleared');
 }
 
+/**
+ * Split a selector list typed one per line or comma-separated
+ * @param {string} text - Raw textarea value
+ * @returns {string[]} Selectors
+ */
+function parseSelectorList(text) {
+    return text
+        .split(/\n|,(?![^(\[]*[)\]])/)
+        .map(selector => selector.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Find the first selector the browser cannot parse
+ * @param {string[]} selectors - CSS selectors
+ * @returns {string|null} Invalid selector or null
+ */
+function findInvalidSelector(selectors) {
+    for (const selector of selectors) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+        } catch {
+            return selector;
+        }
+    }
+    return null;
+}
+
+/**
+ * Render the saved extraction rules in settings
+ */
+function renderExtractionRules() {
+    elements.rulesList.innerHTML = '';
+
+    state.extractionRules.forEach((rule) => {
+        const item = document.createElement('div');
+        item.className = `rule-item${rule.enabled === false ? ' disabled' : ''}`;
+
+        const summary = document.createElement('div');
+        summary.className = 'rule-summary';
+
+        const pattern = document.createElement('div');
+        pattern.className = 'rule-pattern';
+        pattern.textContent = rule.pattern;
+
+        const details = document.createElement('div');
+        details.className = 'rule-details';
+        details.textContent = [
+            rule.mainSelector ? `main: ${rule.mainSelector}` : '',
+            rule.exclude?.length ? `exclude: ${rule.exclude.join(', ')}` : '',
+            rule.include?.length ? `include: ${rule.include.join(', ')}` : '',
+        ].filter(Boolean).join(' · ');
+
+        summary.append(pattern, details);
+
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'banner-btn';
+        toggleBtn.textContent = rule.enabled === false ? 'Enable' : 'Disable';
+        toggleBtn.addEventListener('click', () => toggleExtractionRule(rule.id));
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'banner-btn';
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => editExtractionRule(rule.id));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'banner-close';
+        deleteBtn.title = 'Delete rule';
+        deleteBtn.innerHTML = '&times;';
+        deleteBtn.addEventListener('click', () => deleteExtractionRule(rule.id));
+
+        item.append(summary, toggleBtn, editBtn, deleteBtn);
+        elements.rulesList.appendChild(item);
+    });
+}
+
+/**
+ * Persist extraction rules; content scripts pick them up through storage.onChanged
+ */
+async function saveExtractionRules() {
+    await chrome.storage.local.set({ extractionRules: state.extractionRules });
+    renderExtractionRules();
+}
+
+/**
+ * Add a rule, or update the one being edited, from the rule form
+ */
+async function saveExtractionRule() {
+    const pattern = elements.rulePattern.value.trim();
+    const mainSelector = elements.ruleMainSelector.value.trim();
+    const exclude = parseSelectorList(elements.ruleExclude.value);
+    const include = parseSelectorList(elements.ruleInclude.value);
+
+    if (!pattern) {
+        showError('A rule needs a domain or URL pattern');
+        return;
+    }
+
+    if (!mainSelector && exclude.length === 0 && include.length === 0) {
+        showError('A rule needs at least one selector');
+        return;
+    }
+
+    const invalid = findInvalidSelector([mainSelector, ...exclude, ...include].filter(Boolean));
+    if (invalid) {
+        showError(`Invalid selector: ${invalid}`);
+        return;
+    }
+
+    const rule = { pattern, mainSelector, exclude, include };
+    const existing = state.extractionRules.find(r => r.id === state.editingRuleId);
+
+    if (existing) {
+        Object.assign(existing, rule);
+    } else {
+        state.extractionRules.push({ id: Date.now().toString(36), ...rule, enabled: true });
+    }
+
+    await saveExtractionRules();
+    resetRuleForm();
+    showNotification('Extraction rule saved');
+}
+
+/**
+ * Load a rule into the form for editing
+ * @param {string} id - Rule id
+ */
+function editExtractionRule(id) {
+    const rule = state.extractionRules.find(r => r.id === id);
+    if (!rule) return;
+
+    state.editingRuleId = id;
+    elements.rulePattern.value = rule.pattern;
+    elements.ruleMainSelector.value = rule.mainSelector || '';
+    elements.ruleExclude.value = (rule.exclude || []).join('\n');
+    elements.ruleInclude.value = (rule.include || []).join('\n');
+    elements.saveRuleBtn.textContent = 'Save rule';
+    elements.cancelRuleBtn.classList.remove('hidden');
+}
+
+/**
+ * Enable or disable a rule without deleting it
+ * @param {string} id - Rule id
+ */
+async function toggleExtractionRule(id) {
+    const rule = state.extractionRules.find(r => r.id === id);
+    if (!rule) return;
+
+    rule.enabled = rule.enabled === false;
+    await saveExtractionRules();
+}
+
+/**
+ * Delete a rule
+ * @param {string} id - Rule id
+ */
+async function deleteExtractionRule(id) {
+    const rule = state.extractionRules.find(r => r.id === id);
+    if (!rule || !confirm(`Delete the extraction rule for ${rule.pattern}?`)) return;
+
+    state.extractionRules = state.extractionRules.filter(r => r.id !== id);
+    if (state.editingRuleId === id) resetRuleForm();
+    await saveExtractionRules();
+}
+
+/**
+ * Clear the rule form, suggesting the current site as the pattern
+ */
+function resetRuleForm() {
+    state.editingRuleId = null;
+    elements.rulePattern.value = '';
+    elements.ruleMainSelector.value = '';
+    elements.ruleExclude.value = '';
+    elements.ruleInclude.value = '';
+    elements.saveRuleBtn.textContent = 'Add rule';
+    elements.cancelRuleBtn.classList.add('hidden');
+
+    try {
+        elements.rulePattern.placeholder = new URL(state.currentPageUrl).hostname || elements.rulePattern.placeholder;
+    } catch {
+        // Keep the default placeholder
+    }
+}
+
+/**
+ * Fill the site settings from the current policy
+ */
+function renderSitePolicy() {
+    elements.siteMode.value = state.sitePolicy.mode;
+    elements.siteAllowList.value = state.sitePolicy.allow.join('\n');
+    elements.siteBlockList.value = state.sitePolicy.block.join('\n');
+}
+
+/**
+ * Save the site mode and allow/block lists from settings
+ */
+async function saveSitePolicy() {
+    state.sitePolicy = normalizeSitePolicy({
+        mode: elements.siteMode.value,
+        allow: parseSitePatterns(elements.siteAllowList.value),
+        block: parseSitePatterns(elements.siteBlockList.value),
+    });
+    await chrome.storage.local.set({ sitePolicy: state.sitePolicy });
+    renderSitePolicy();
+    showNotification('Sites saved');
+}
+
+/**
+ * Get the host of the current page
+ * @returns {string} Hostname, or empty string for pages without one
+ */
+function getCurrentHost() {
+    try {
+        return new URL(state.currentPageUrl).hostname;
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Format custom patterns back into textarea lines
+ * @param {Array<Object>} customPatterns - Patterns from parseCustomPatterns()
+ * @returns {string} One "LABEL: regex" per line
+ */
+function formatCustomPatterns(customPatterns) {
+    return customPatterns
+        .map(({ label, pattern }) => label === 'CUSTOM' ? pattern : `${label}: ${pattern}`)
+        .join('\n');
+}
+
+/**
+ * Show the redaction switches for the current settings and site
+ */
+function renderRedactionSettings() {
+    const host = getCurrentHost();
+    const active = isRedactionActive(state.redaction, state.currentPageUrl);
+
+    elements.redactionEnabled.checked = state.redaction.enabled;
+    elements.redactionSite.checked = active;
+    elements.redactionSite.disabled = !host;
+    elements.redactionSiteLabel.textContent = host ? `Redact on ${host}` : 'Redact on this site';
+
+    elements.redactionDetectors.innerHTML = '';
+    REDACTION_DETECTORS.forEach((detector) => {
+        const row = document.createElement('label');
+        row.className = `toggle-row${active ? '' : ' disabled'}`;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = state.redaction.detectors[detector.id];
+        checkbox.addEventListener('change', () => toggleRedactionDetector(detector.id, checkbox.checked));
+
+        row.append(checkbox, ` ${detector.title}`);
+        elements.redactionDetectors.appendChild(row);
+    });
+}
+
+/**
+ * Persist redaction settings
+ */
+async function saveRedactionSettings() {
+    await chrome.storage.local.set({ redaction: state.redaction });
+    renderRedactionSettings();
+}
+
+/**
+ * Turn redaction on or off for every site without an override
+ */
+async function toggleRedaction() {
+    state.redaction.enabled = elements.redactionEnabled.checked;
+    await saveRedactionSettings();
+}
+
+/**
+ * Override redaction for the current site; matching the global switch clears the override
+ */
+async function toggleSiteRedaction() {
+    const host = getCurrentHost();
+    if (!host) return;
+
+    if (elements.redactionSite.checked === state.redaction.enabled) {
+        delete state.redaction.siteOverrides[host];
+    } else {
+        state.redaction.siteOverrides[host] = elements.redactionSite.checked;
+    }
+    await saveRedactionSettings();
+}
+
+/**
+ * Enable or disable one built-in detector
+ * @param {string} id - Detector id
+ * @param {boolean} enabled - New state
+ */
+async function toggleRedactionDetector(id, enabled) {
+    state.redaction.detectors[id] = enabled;
+    await saveRedactionSettings();
+}
+
+/**
+ * Validate and save the custom redaction patterns
+ */
+async function saveRedactionPatterns() {
+    const customPatterns = parseCustomPatterns(elements.redactionPatterns.value);
+
+    for (const { pattern } of customPatterns) {
+        try {
+            // A pattern that matches nothing but the empty string would never redact anything
+            if (new RegExp(pattern).test('')) {
+                showNotification(`Pattern matches empty text: ${pattern}`, 'error');
+                return;
+            }
+        } catch {
+            showNotification(`Invalid pattern: ${pattern}`, 'error');
+            return;
+        }
+    }
+
+    state.redaction.customPatterns = customPatterns;
+    await saveRedactionSettings();
+    showNotification('Redaction patterns saved');
+}
+
+/**
+ * Redact page data or a message for the current page, if redaction is on for its site
+ * @param {*} value - Page data or message text
+ * @returns {*} Redacted copy, or the value unchanged
+ */
+function redactForUpload(value) {
+    if (!isRedactionActive(state.redaction, state.currentPageUrl)) {
+        return value;
+    }
+    return redactValue(value, state.redaction, state.redactionMap);
+}
+
+/**
+ * Store the placeholder map with the session so placeholders stay stable across reloads
+ */
+async function saveRedactionMap() {
+    const sessionKey = `session_${hashString(state.sessionUrl)}`;
+    const result = await chrome.storage.local.get([sessionKey]);
+    if (!result[sessionKey]) return;
+
+    await chrome.storage.local.set({
+        [sessionKey]: { ...result[sessionKey], redactionMap: state.redactionMap },
+    });
+}
+
 /**
  * Initialize for the current page
  */
 async function initializeForCurrentPage() {
     setStatus('processing', 'Initializing...');
+    unwatchPageChanges();
 
     try {
         // Get current tab info
@@ -233,22 +745,45 @@ async function initializeForCurrentPage() {
             return;
         }
 
+        state.currentTabId = tab.id;
         state.currentPageUrl = tab.url;
+        hidePageChangedBanner();
         state.currentPageTitle = tab.title || 'Untitled';
         elements.pageInfo.textContent = state.currentPageTitle;
         elements.pageInfo.title = state.currentPageUrl;
 
-        // Reset state for new page
+        // Reset state for new page; an answer still streaming for the old one carries on in the background
+        state.sessionUrl = null;
+        finishChatStream();
         state.contentId = null;
         state.assistantId = null;
         state.threadId = null;
-        state.messages = [];
+        state.capture = null;
+        state.safety = null;
+        state.redactionMap = createRedactionMap();
+        setConversation(createMessageTree());
+        clearFocusedContext();
         elements.messages.innerHTML = '';
         elements.welcomeScreen.classList.remove('hidden');
         elements.chatContainer.classList.remove('visible');
+        updateCaptureDisplay();
+        updateSafetyDisplay();
+
+        // Checked here as well as in the content script, since PDFs are read from the sidepanel
+        const { sitePolicy } = await chrome.storage.local.get(['sitePolicy']);
+        state.sitePolicy = normalizeSitePolicy(sitePolicy);
+        if (getSiteAccess(tab.url, state.sitePolicy).access === 'blocked') {
+            state.isInitialized = false;
+            setStatus('error', 'Little Elf is blocked on this site');
+            return;
+        }
+
+        // Opening the chat is a request, so the page gets the full extractor now
+        const extractorLoaded = !isPdfUrl(tab.url) && await loadExtractor(tab.id);
+        state.sessionUrl = await getSessionUrl(tab);
 
         // Check if we have existing session for this page
-        const sessionKey = `session_${hashString(tab.url)}`;
+        const sessionKey = `session_${hashString(state.sessionUrl)}`;
         const existingSession = await chrome.storage.local.get([sessionKey]);
 
         if (existingSession[sessionKey]) {
@@ -256,17 +791,31 @@ async function initializeForCurrentPage() {
             state.contentId = session.contentId;
             state.assistantId = session.assistantId;
             state.threadId = session.threadId;
+            state.capture = session.capture || null;
+            state.safety = session.safety || null;
+            state.redactionMap = session.redactionMap || createRedactionMap();
+            updateCaptureDisplay();
+            updateSafetyDisplay();
 
-            // Load existing messages
+            // Load existing messages, and any answer still arriving for them
             await loadMessages();
+            attachChatStream();
+            if (extractorLoaded) watchPageChanges(tab.id);
             setStatus('connected', 'Ready');
             state.isInitialized = true;
             updateAssistantStatus();
+            await runPendingContextAction();
             return;
         }
 
-        // Get page content from content script
-        const content = await getPageContent(tab.id);
+        // Chrome's PDF viewer gives the content script nothing to read, so PDFs are parsed here
+        let content;
+        if (await isPdfTab(tab)) {
+            setStatus('processing', 'Reading PDF...');
+            content = await extractPdfData(tab.url);
+        } else {
+            content = await getPageContent(tab.id);
+        }
 
         if (!content) {
             setStatus('error', 'Failed to extract content');
@@ -275,15 +824,13 @@ async function initializeForCurrentPage() {
 
         // Store content in backend
         setStatus('processing', 'Storing content...');
-        const storeResult = await apiRequest('/api/content/store', 'POST', {
-            url: content.url,
-            title: content.title,
-            description: content.description,
-            headings: content.headings,
-            content: content.content,
-        });
+        const storeResult = await storeContent(content);
 
         state.contentId = storeResult.contentId;
+        state.capture = storeResult.capture;
+        state.safety = content.safety || null;
+        updateCaptureDisplay();
+        updateSafetyDisplay();
 
         // Create assistant
         setStatus('processing', 'Creating AI assistant...');
@@ -300,13 +847,18 @@ async function initializeForCurrentPage() {
                 contentId: state.contentId,
                 assistantId: state.assistantId,
                 threadId: state.threadId,
+                capture: state.capture,
+                safety: state.safety,
+                redactionMap: state.redactionMap,
                 createdAt: new Date().toISOString(),
             },
         });
 
+        if (extractorLoaded) watchPageChanges(tab.id);
         setStatus('connected', 'Ready');
         state.isInitialized = true;
         updateAssistantStatus();
+        await runPendingContextAction();
 
     } catch (error) {
         console.error('[Little Elf] Initialization error:', error);
@@ -314,6 +866,114 @@ async function initializeForCurrentPage() {
     }
 }
 
+/**
+ * Store page content in the backend, paging long pages across several requests
+ * @param {Object} pageData - Page data from the content script
+ * @returns {Promise<Object>} contentId and capture summary
+ */
+async function storeContent(pageData) {
+    // Everything below is built from the redacted copy, so nothing unredacted is uploaded
+    const content = redactForUpload(pageData);
+    const parts = splitContentIntoParts(content.content || '', CONFIG.MAX_PART_LENGTH);
+
+    return storeContentParts(parts, {
+        page: {
+            url: content.url,
+            title: content.title,
+            description: content.description,
+            metadata: content.metadata,
+            headings: content.headings,
+        },
+        structured: {
+            tables: content.tables,
+            codeBlocks: content.codeBlocks,
+            transcripts: content.transcripts,
+        },
+        totalLength: (content.content || '').length,
+        store: body => apiRequest('/api/content/store', 'POST', body),
+        onPart: (part) => {
+            setStatus('processing', `Storing content (part ${part.index + 1}/${parts.length})...`);
+        },
+    });
+}
+
+/**
+ * Have the background inject the extractor into a tab; pages only run a small stub until asked
+ * @param {number} tabId - Tab to load it into
+ * @returns {Promise<boolean>} True if the extractor is loaded
+ */
+async function loadExtractor(tabId) {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'LOAD_EXTRACTOR', tabId });
+        if (!response?.success) throw new Error(response?.error || 'Extractor not loaded');
+        return true;
+    } catch (error) {
+        console.error('[Little Elf] Could not load the extractor:', error);
+        return false;
+    }
+}
+
+/**
+ * Hold a port to the tab so its content script reports page changes and selections while the chat is open
+ * @param {number} tabId - Tab to watch
+ */
+function watchPageChanges(tabId) {
+    unwatchPageChanges();
+
+    const port = chrome.tabs.connect(tabId, { name: CONFIG.PAGE_WATCH_PORT });
+    port.onMessage.addListener((message) => {
+        if (message.type === 'SELECTION_CHANGED' && state.pageWatch === port) {
+            handlePageSelection(message.selection);
+        }
+    });
+    port.onDisconnect.addListener(() => {
+        // The page navigated away or was closed; reading lastError keeps Chrome from reporting it
+        void chrome.runtime.lastError;
+        if (state.pageWatch === port) state.pageWatch = null;
+    });
+    state.pageWatch = port;
+}
+
+/**
+ * Stop watching the current tab for page changes
+ */
+function unwatchPageChanges() {
+    state.pageWatch?.disconnect();
+    state.pageWatch = null;
+}
+
+/**
+ * Get the URL a page's session is keyed by: its canonical URL when it declares one
+ * @param {chrome.tabs.Tab} tab - Tab to look up
+ * @returns {Promise<string>} Canonical URL or the tab URL
+ */
+async function getSessionUrl(tab) {
+    return new Promise((resolve) => {
+        chrome.tabs.sendMessage(tab.id, { type: 'GET_CANONICAL_URL' }, (response) => {
+            if (chrome.runtime.lastError || !response?.canonicalUrl) {
+                resolve(tab.url);
+            } else {
+                resolve(response.canonicalUrl);
+            }
+        });
+    });
+}
+
+/**
+ * Check whether a tab is showing a PDF
+ * @param {chrome.tabs.Tab} tab - Tab to check
+ * @returns {Promise<boolean>} True for .pdf URLs and documents served as application/pdf
+ */
+async function isPdfTab(tab) {
+    if (isPdfUrl(tab.url)) return true;
+
+    return new Promise((resolve) => {
+        chrome.tabs.sendMessage(tab.id, { type: 'CHECK_READY' }, (response) => {
+            resolve(!chrome.runtime.lastError && response?.contentType === 'application/pdf');
+        });
+    });
+}
+
 /**
  * Get page content from content script
  */
@@ -323,6 +983,9 @@ async function getPageContent(tabId) {
             if (chrome.runtime.lastError) {
                 console.error('[Little Elf] Content script error:', chrome.runtime.lastError);
                 resolve(null);
+            } else if (response?.blocked) {
+                console.warn('[Little Elf] Site is blocked, not reading the page');
+                resolve(null);
             } else {
                 resolve(response);
             }
@@ -376,136 +1039,644 @@ async function apiRequest(endpoint, method = 'GET', body = null, retries = CONFI
 }
 
 /**
- * Send a chat message with streaming response
+ * Shorten text to a length, marking the cut
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum characters
+ * @returns {string} Text, with "…" if it was cut
  */
-async function sendMessage() {
-    const message = elements.messageInput.value.trim();
+function truncateText(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength).trimEnd()}…` : text;
+}
 
-    if (!message || state.isProcessing || !state.isInitialized) {
-        return;
-    }
+/**
+ * Pin a passage, linked page or image so the next question is answered about it
+ * @param {Object} context - label and text; optional source URL, headingPath, section, isCode,
+ *     language and previousAnswer; origin "selection" for contexts that follow the page selection
+ */
+function setFocusedContext(context) {
+    state.focusedContext = {
+        ...context,
+        text: truncateText(context.text.trim(), CONFIG.MAX_FOCUSED_CONTEXT_LENGTH),
+    };
 
-    if (!state.threadId) {
-        showError('No active chat session. Please refresh.');
-        return;
-    }
+    const path = context.headingPath?.join(' › ') || '';
+    elements.contextChipLabel.textContent = context.label;
+    elements.contextChipText.textContent = context.source || context.text.replace(/\s+/g, ' ');
+    elements.contextChipText.title = (path ? `${path}\n\n` : '') + context.text.substring(0, 500);
+    elements.contextChip.classList.remove('hidden');
+}
 
-    // Clear input
-    elements.messageInput.value = '';
-    handleInputChange();
-    autoResizeTextarea();
+/**
+ * Turn a selection captured by the content script into a focused context
+ * @param {Object} selection - Result of getSelectionContext() in content/selection.js
+ * @returns {Object} Focused context
+ */
+function selectionToContext(selection) {
+    return {
+        label: 'Selection',
+        origin: 'selection',
+        text: selection.text,
+        headingPath: selection.headingPath || [],
+        section: selection.section || '',
+        isCode: Boolean(selection.isCode),
+        language: selection.language || '',
+    };
+}
 
-    // Add user message to UI
-    addMessage('user', message);
+/**
+ * Follow the page selection: a new one becomes the focused context, clearing it drops the chip
+ * @param {Object|null} selection - Selection reported by the content script
+ */
+function handlePageSelection(selection) {
+    if (selection?.text) {
+        setFocusedContext(selectionToContext(selection));
+    } else if (state.focusedContext?.origin === 'selection') {
+        clearFocusedContext();
+    }
+}
 
-    // Hide welcome screen, show chat
-    elements.welcomeScreen.classList.add('hidden');
-    elements.chatContainer.classList.add('visible');
+/**
+ * Ask the page for the current selection with its section and headings
+ * @returns {Promise<Object|null>} Selection, or null if there is none or the page can't say
+ */
+function getPageSelection() {
+    return new Promise((resolve) => {
+        chrome.tabs.sendMessage(state.currentTabId, { type: 'GET_SELECTION_CONTEXT' }, (response) => {
+            resolve(chrome.runtime.lastError ? null : response?.selection || null);
+        });
+    });
+}
 
-    // Show typing indicator
-    state.isProcessing = true;
-    setStatus('processing', 'Thinking...');
-    elements.typingIndicator.classList.add('visible');
-    scrollToBottom();
+/**
+ * Go back to asking about the whole page
+ */
+function clearFocusedContext() {
+    state.focusedContext = null;
+    elements.contextChip.classList.add('hidden');
+}
 
-    // Create streaming message element
-    const streamingEl = createStreamingMessage();
+/**
+ * Wrap a question with its focused context for the assistant
+ * @param {string} question - What the user asked
+ * @param {Object} context - Focused context, text and section already redacted
+ * @returns {string} Message for the backend
+ */
+function formatFocusedMessage(question, context) {
+    const where = context.headingPath?.length ? ` under "${context.headingPath.join(' › ')}"` : '';
+    const source = context.source ? ` (${context.source})` : '';
+    const quoted = context.isCode ?
+        `\`\`\`${context.language}\n${context.text}\n\`\`\`` :
+        `"""\n${context.text}\n"""`;
+
+    let message = `${question}\n\n` +
+        `[Focused context: ${context.label}${where}${source}. Answer about this first and quote the relevant ` +
+        'part of it back; the rest of the page is still available for background.]\n' +
+        quoted;
+
+    if (context.section && context.section !== context.text) {
+        message += `\n\n[Surrounding section]\n"""\n${context.section}\n"""`;
+    }
 
-    try {
-        console.log('[Little Elf] Streaming message with:', {
-            threadId: state.threadId,
-            contentId: state.contentId,
-        });
+    if (context.previousAnswer) {
+        message += `\n\n[You already explained it briefly in a popup on the page]\n"""\n${context.previousAnswer}\n"""`;
+    }
 
-        // Use streaming endpoint
-        const headers = {
-            'Content-Type': 'application/json',
-        };
+    return message;
+}
 
-        // Add OpenAI API key if provided
-        if (state.openaiKey) {
-            headers['X-OpenAI-Key'] = state.openaiKey;
-        }
+/**
+ * Download a linked page and reduce it to readable text
+ * @param {string} url - Link target
+ * @returns {Promise<{title: string, text: string}>} Page title and text
+ */
+async function fetchLinkedPage(url) {
+    const { sitePolicy } = await chrome.storage.local.get(['sitePolicy']);
+    state.sitePolicy = normalizeSitePolicy(sitePolicy);
+    const { access } = getSiteAccess(url, state.sitePolicy);
+    if (access === 'blocked') {
+        throw new Error('Little Elf is blocked on the linked site');
+    }
+    if (access === 'on-demand') {
+        throw new Error('Little Elf only reads the linked site when asked there; open the link and use Little Elf on it');
+    }
 
-        const response = await fetch(`${state.apiUrl}/api/chat/stream`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify({
-                threadId: state.threadId,
-                message: message,
-                contentId: state.contentId,
-            }),
+    if (isPdfUrl(url)) {
+        const pdf = await extractPdfData(url, { credentials: 'omit' });
+        return { title: pdf.title, text: pdf.content };
+    }
+
+    // Sent without cookies, so only what the link shows to anyone leaves the browser
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+        throw new Error(`Could not open the link (HTTP ${response.status})`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('application/pdf')) {
+        const pdf = await extractPdfData(url, { credentials: 'omit' });
+        return { title: pdf.title, text: pdf.content };
+    }
+
+    const body = await response.text();
+    if (!/html|xml/.test(contentType)) {
+        return { title: url, text: body };
+    }
+
+    const doc = new DOMParser().parseFromString(body, 'text/html');
+    doc.querySelectorAll('script, style, noscript, template, svg, iframe, nav, header, footer, aside, form').forEach(el => el.remove());
+    const main = doc.querySelector('article, main, [role="main"]') || doc.body;
+
+    // Parsed documents have no layout, so block boundaries are marked by hand
+    main.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6, pre, blockquote, tr, br, div').forEach(el => el.append('\n'));
+    const text = main.textContent
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n\s*\n\s*/g, '\n\n')
+        .trim();
+
+    return { title: doc.title.trim() || url, text };
+}
+
+/**
+ * Ask the page what it says about an image
+ * @param {string} srcUrl - Image URL
+ * @returns {Promise<string>} Alt text, caption and surrounding text as lines
+ */
+async function getImageContextText(srcUrl) {
+    const details = await new Promise((resolve) => {
+        chrome.tabs.sendMessage(state.currentTabId, { type: 'GET_IMAGE_CONTEXT', srcUrl }, (response) => {
+            resolve(chrome.runtime.lastError ? null : response);
         });
+    });
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Stream request failed');
-        }
+    return [
+        `Image: ${srcUrl}`,
+        details?.alt ? `Alt text: ${details.alt}` : 'Alt text: (none)',
+        details?.title ? `Title: ${details.title}` : '',
+        details?.caption ? `Caption: ${details.caption}` : '',
+        details?.nearbyText ? `Text around it: ${details.nearbyText}` : '',
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Name of the browser's UI language, for translations
+ * @returns {string} Language name, e.g. "English"
+ */
+function getUiLanguageName() {
+    const language = (navigator.language || 'en').split('-')[0];
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || 'English';
+    } catch {
+        return 'English';
+    }
+}
+
+/**
+ * Run the context menu action waiting for this tab, if any
+ */
+async function runPendingContextAction() {
+    const { pendingContextAction: pending } = await chrome.storage.local.get(['pendingContextAction']);
+    if (!pending || pending.tabId !== state.currentTabId) return;
 
-        // Hide typing indicator when stream starts
-        elements.typingIndicator.classList.remove('visible');
-        setStatus('processing', 'Responding...');
-
-        // Process the stream
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let fullResponse = '';
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value);
-            const lines = chunk.split('\n');
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    try {
-                        const data = JSON.parse(line.slice(6));
-
-                        if (data.type === 'text') {
-                            fullResponse += data.content;
-                            updateStreamingMessage(streamingEl, fullResponse);
-                            scrollToBottom();
-                        } else if (data.type === 'done') {
-                            // Finalize the message
-                            finalizeStreamingMessage(streamingEl, fullResponse);
-
-                            // Save to state
-                            state.messages.push({
-                                role: 'assistant',
-                                content: fullResponse,
-                                timestamp: new Date().toISOString()
-                            });
-                            saveMessages();
-                        } else if (data.type === 'error') {
-                            throw new Error(data.content);
-                        }
-                    } catch (parseError) {
-                        // Ignore parse errors from incomplete chunks
-                    }
+    await chrome.storage.local.remove(['pendingContextAction']);
+    if (Date.now() - pending.createdAt > CONFIG.CONTEXT_ACTION_MAX_AGE) return;
+
+    let prompt = '';
+
+    try {
+        switch (pending.action) {
+            case 'explain-selection':
+                prompt = 'Explain this passage in simple terms.';
+                break;
+            case 'summarize-selection':
+                prompt = 'Summarize this passage.';
+                break;
+            case 'translate-selection':
+                prompt = `Translate this passage into ${getUiLanguageName()}. Keep names, code and numbers as they are.`;
+                break;
+            case 'ask-selection':
+                break;
+            case 'ask-question':
+                prompt = pending.question;
+                break;
+            case 'summarize-link': {
+                setStatus('processing', 'Reading linked page...');
+                const linked = await fetchLinkedPage(pending.linkUrl);
+                setStatus('connected', 'Ready');
+                setFocusedContext({ label: 'Linked page', text: `# ${linked.title}\n\n${linked.text}`, source: pending.linkUrl });
+                prompt = 'Summarize the linked page. Mention how it relates to the current page, if it does.';
+                break;
+            }
+            case 'continue-bubble': {
+                // The ask bubble answered in a thread of its own that the page's thread never
+                // saw, so the chat shows the exchange and passes the answer along with the next question
+                const { selection, question, answer } = pending.exchange;
+                const knownPlaceholders = Object.keys(state.redactionMap.placeholders).length;
+                const shown = redactForUpload(selection.text).replace(/\s+/g, ' ');
+                if (Object.keys(state.redactionMap.placeholders).length !== knownPlaceholders) {
+                    await saveRedactionMap();
                 }
+
+                addMessage('user', `Selection: “${truncateText(shown, 160)}”\n\n${question}`);
+                addMessage('assistant', answer);
+                setFocusedContext({ ...selectionToContext(selection), previousAnswer: answer });
+                break;
             }
+            case 'describe-image':
+                setFocusedContext({ label: 'Image', text: await getImageContextText(pending.srcUrl), source: pending.srcUrl });
+                prompt = 'Describe this image. You only have its alt text, caption and the text around it, so say so if they are not enough.';
+                break;
+            default:
+                return;
         }
+    } catch (error) {
+        console.error('[Little Elf] Context action failed:', error);
+        setStatus('error', error.message || 'Context action failed');
+        return;
+    }
 
-        setStatus('connected', 'Ready');
+    if (pending.action.endsWith('-selection')) {
+        // The menu only passes the text; the page adds its section and headings if it still has it selected
+        const selection = await getPageSelection();
+        const sameText = selection &&
+            selection.text.replace(/\s+/g, ' ').trim() === pending.selectionText.replace(/\s+/g, ' ').trim();
+        setFocusedContext(sameText ? selectionToContext(selection) : { label: 'Selection', text: pending.selectionText });
+    }
+
+    elements.welcomeScreen.classList.add('hidden');
+    elements.chatContainer.classList.add('visible');
+
+    if (prompt) {
+        elements.messageInput.value = prompt;
+        handleInputChange();
+        await sendMessage();
+    } else {
+        elements.messageInput.focus();
+    }
+}
+
+/**
+ * Send a chat message with streaming response
+ */
+async function sendMessage() {
+    const text = elements.messageInput.value.trim();
+
+    if (!text || state.isProcessing || !state.isInitialized) {
+        return;
+    }
+
+    if (!state.threadId) {
+        showError('No active chat session. Please refresh.');
+        return;
+    }
+
+    // The conversation only ever holds redacted text
+    const knownPlaceholders = Object.keys(state.redactionMap.placeholders).length;
+    const question = redactForUpload(text);
+    const context = state.focusedContext && {
+        ...state.focusedContext,
+        text: redactForUpload(state.focusedContext.text),
+        section: redactForUpload(state.focusedContext.section || ''),
+        previousAnswer: redactForUpload(state.focusedContext.previousAnswer || ''),
+    };
+    if (Object.keys(state.redactionMap.placeholders).length !== knownPlaceholders) {
+        await saveRedactionMap();
+    }
+
+    // A focused context applies to one question
+    clearFocusedContext();
+
+    // Clear input
+    elements.messageInput.value = '';
+    handleInputChange();
+    autoResizeTextarea();
+
+    // Add user message to UI
+    const threadId = getMessageThreadId(state.conversation, state.conversation.activeId, state.threadId);
+    const questionNode = addMessage('user', formatDisplayedQuestion(question, context), {
+        question,
+        ...(context && { context }),
+        threadId,
+    });
+
+    startAnswer(questionNode, getQuestionPrompt(questionNode), threadId);
+}
+
+/**
+ * Show the answer area and have the background stream an answer to a question
+ * @param {Object} questionNode - User message being answered
+ * @param {string} message - Text sent to the backend
+ * @param {string} threadId - Backend thread of the question's branch
+ */
+function startAnswer(questionNode, message, threadId) {
+    // Hide welcome screen, show chat
+    elements.welcomeScreen.classList.add('hidden');
+    elements.chatContainer.classList.add('visible');
+
+    // Show typing indicator
+    state.isProcessing = true;
+    handleInputChange();
+    setStatus('processing', 'Thinking...');
+    elements.typingIndicator.classList.add('visible');
+    scrollToBottom();
+
+    // Create streaming message element
+    state.streamingEl = createStreamingMessage();
+
+    // The background streams the answer, so it survives tab switches and closing the panel
+    console.log('[Little Elf] Streaming message with:', {
+        threadId,
+        contentId: state.contentId,
+    });
+    getChatPort().postMessage({
+        type: 'START',
+        sessionUrl: state.sessionUrl,
+        parentId: questionNode.id,
+        threadId,
+        contentId: state.contentId,
+        message,
+    });
+}
+
+/**
+ * Show a question the way the chat lists it
+ * @param {string} question - Redacted question
+ * @param {Object|null} context - Redacted focused context it was asked about
+ * @returns {string} Question, after a short excerpt of the context if there is one
+ */
+function formatDisplayedQuestion(question, context) {
+    return context ?
+        `${context.label}: “${truncateText(context.text.replace(/\s+/g, ' '), 160)}”\n\n${question}` :
+        question;
+}
+
+/**
+ * Get the text a saved question was sent to the backend as
+ * @param {Object} node - User message
+ * @returns {string} Question with its focused context
+ */
+function getQuestionPrompt(node) {
+    // Chats saved before branching only kept the displayed text
+    const question = node.question ?? node.content;
+    return node.context ? formatFocusedMessage(question, node.context) : question;
+}
+
+/**
+ * Start a backend thread for a new branch and bring it up to the point where the branch leaves off
+ *
+ * Backend threads are linear, so a branch can't reuse the thread of the messages it
+ * shares with other branches. The new thread gets the shared part as a transcript
+ * in front of its first question instead.
+ *
+ * @param {string|null} parentId - Last message the branch shares with the others
+ * @param {string} prompt - First question of the branch
+ * @returns {Promise<{threadId: string, message: string}>} New thread and the text to send to it
+ */
+async function startBranchThread(parentId, prompt) {
+    setStatus('processing', 'Starting a new branch...');
+    const assistantResult = await apiRequest('/api/assistant/create', 'POST', {
+        contentId: state.contentId,
+    });
+
+    const history = getMessagePath(state.conversation, parentId)
+        .filter(node => node.role !== 'error')
+        .map(node => (node.role === 'user' ? `User: ${getQuestionPrompt(node)}` : `Assistant: ${node.content.replace(CITATION_MARKER_PATTERN, '')}`))
+        .join('\n\n');
+
+    if (!history) {
+        return { threadId: assistantResult.threadId, message: prompt };
+    }
+
+    // The most recent messages matter most when the transcript has to be cut
+    const transcript = history.length > CONFIG.MAX_BRANCH_HISTORY_LENGTH ?
+        `…${history.slice(-CONFIG.MAX_BRANCH_HISTORY_LENGTH)}` :
+        history;
+
+    return {
+        threadId: assistantResult.threadId,
+        message: `[Conversation so far]\n"""\n${transcript}\n"""\n\n${prompt}`,
+    };
+}
 
+/**
+ * Answer the last question again, as an alternative to the answer it has
+ * @param {string} answerId - Answer, or error, to replace
+ */
+async function regenerateAnswer(answerId) {
+    if (state.isProcessing || !state.isInitialized) return;
+
+    const answer = getMessageNode(state.conversation, answerId);
+    const questionNode = answer && getMessageNode(state.conversation, answer.parentId);
+    if (questionNode?.role !== 'user') return;
+
+    try {
+        state.isProcessing = true;
+        const { threadId, message } = await startBranchThread(questionNode.parentId, getQuestionPrompt(questionNode));
+
+        // The new answer appears where the old one was; the switcher brings the old one back
+        state.isProcessing = false;
+        state.conversation.activeId = questionNode.id;
+        renderConversation();
+        await saveMessages();
+        startAnswer(questionNode, message, threadId);
     } catch (error) {
-        console.error('[Little Elf] Stream error:', error);
-        elements.typingIndicator.classList.remove('visible');
+        console.error('[Little Elf] Regenerate error:', error);
+        state.isProcessing = false;
+        setStatus('error', error.message || 'Failed to regenerate');
+    }
+}
 
-        // Remove streaming message if it exists
-        if (streamingEl && streamingEl.parentNode) {
-            streamingEl.remove();
-        }
+/**
+ * Ask an edited version of an earlier question on a new branch
+ * @param {string} questionId - Original question, which stays on its own branch
+ * @param {string} text - Edited question
+ */
+async function resendEditedQuestion(questionId, text) {
+    const original = getMessageNode(state.conversation, questionId);
+    if (!text.trim() || !original || state.isProcessing || !state.isInitialized) return;
+
+    const knownPlaceholders = Object.keys(state.redactionMap.placeholders).length;
+    const question = redactForUpload(text.trim());
+    if (Object.keys(state.redactionMap.placeholders).length !== knownPlaceholders) {
+        await saveRedactionMap();
+    }
+
+    // A question asked about a passage keeps it
+    const fields = { question, ...(original.context && { context: original.context }) };
+
+    try {
+        state.isProcessing = true;
+        const { threadId, message } = await startBranchThread(original.parentId, getQuestionPrompt(fields));
 
-        addMessage('error', `Error: ${error.message}`);
-        setStatus('error', 'Message failed');
-    } finally {
         state.isProcessing = false;
+        const questionNode = addMessageNode(state.conversation, {
+            role: 'user',
+            content: formatDisplayedQuestion(question, original.context),
+            ...fields,
+            threadId,
+        }, original.parentId);
+        renderConversation();
+        await saveMessages();
+        startAnswer(questionNode, message, threadId);
+    } catch (error) {
+        console.error('[Little Elf] Edit error:', error);
+        state.isProcessing = false;
+        setStatus('error', error.message || 'Failed to send the edited question');
+        renderConversation();
+    }
+}
+
+/**
+ * Show another branch that leaves the conversation at the same point as a message
+ * @param {string} id - Message on the branch on screen
+ * @param {number} offset - -1 for the previous alternative, 1 for the next
+ */
+function switchBranch(id, offset) {
+    if (state.isProcessing) return;
+
+    const node = getMessageNode(state.conversation, id);
+    const siblings = getMessageSiblings(state.conversation, node);
+    const target = siblings[siblings.indexOf(node) + offset];
+    if (!target) return;
+
+    state.conversation.activeId = getLatestLeafId(state.conversation, target.id);
+    renderConversation();
+    saveMessages();
+}
+
+/**
+ * Turn a question into an editor in place
+ * @param {Element} messageEl - The question's message element
+ * @param {Object} node - The question
+ */
+function editQuestion(messageEl, node) {
+    if (state.isProcessing || messageEl.classList.contains('editing')) return;
+    messageEl.classList.add('editing');
+
+    const editor = document.createElement('textarea');
+    editor.className = 'edit-input';
+    editor.value = node.question ?? node.content;
+    editor.rows = Math.min(Math.max(editor.value.split('\n').length, 2), 8);
+
+    const sendBtn = document.createElement('button');
+    sendBtn.className = 'edit-btn primary';
+    sendBtn.textContent = 'Send';
+    sendBtn.addEventListener('click', () => resendEditedQuestion(node.id, editor.value));
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'edit-btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', renderConversation);
+
+    editor.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            resendEditedQuestion(node.id, editor.value);
+        } else if (e.key === 'Escape') {
+            renderConversation();
+        }
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'edit-actions';
+    actions.append(cancelBtn, sendBtn);
+
+    messageEl.querySelector('.message-content').replaceChildren(editor, actions);
+    editor.focus();
+}
+
+/**
+ * Connect to the background's chat streams
+ * @returns {chrome.runtime.Port} Port for START and ATTACH requests
+ */
+function getChatPort() {
+    if (state.chatPort) return state.chatPort;
+
+    const port = chrome.runtime.connect({ name: CONFIG.CHAT_PORT });
+    port.onMessage.addListener(handleChatEvent);
+    port.onDisconnect.addListener(() => {
+        state.chatPort = null;
+
+        // The service worker stopped; it keeps what was streamed and we pick up from storage
+        if (state.isProcessing) attachChatStream();
+    });
+
+    state.chatPort = port;
+    return port;
+}
+
+/**
+ * Stop the answer in progress; the background keeps what has arrived
+ */
+function stopAnswer() {
+    if (!state.isProcessing || !state.sessionUrl) return;
+    getChatPort().postMessage({ type: 'STOP', sessionUrl: state.sessionUrl });
+}
+
+/**
+ * Ask the background for an answer in progress for the current session
+ */
+function attachChatStream() {
+    if (!state.sessionUrl) return;
+    getChatPort().postMessage({ type: 'ATTACH', sessionUrl: state.sessionUrl });
+}
+
+/**
+ * Show a chat stream event if it belongs to the session on screen
+ * @param {Object} event - TEXT, DONE, ERROR or IDLE from the background
+ */
+async function handleChatEvent(event) {
+    if (!state.sessionUrl || event.sessionUrl !== state.sessionUrl) return;
+
+    switch (event.type) {
+        case 'TEXT':
+            state.isProcessing = true;
+            handleInputChange();
+            elements.typingIndicator.classList.remove('visible');
+            setStatus('processing', 'Responding...');
+
+            state.streamingEl = state.streamingEl || createStreamingMessage();
+            updateStreamingMessage(state.streamingEl, event.answer, event.citations);
+            scrollToBottom();
+            break;
+
+        case 'DONE':
+            state.streamingEl = state.streamingEl || createStreamingMessage();
+            finalizeStreamingMessage(state.streamingEl, event.answer, event.citations);
+
+            // Already saved by the background, in the branch it answers
+            finishChatStream();
+            await loadMessages();
+            setStatus('connected', 'Ready');
+            break;
+
+        case 'ERROR':
+            state.streamingEl?.remove();
+            finishChatStream();
+            await loadMessages();
+            setStatus('error', 'Message failed');
+            break;
+
+        case 'IDLE':
+            // Nothing in progress; if we were waiting, the answer ended while we were disconnected
+            if (state.isProcessing) {
+                finishChatStream();
+                await loadMessages();
+                setStatus('connected', 'Ready');
+            }
+            break;
     }
 }
 
+/**
+ * Forget the answer in progress and allow sending again
+ */
+function finishChatStream() {
+    state.streamingEl = null;
+    state.isProcessing = false;
+    elements.typingIndicator.classList.remove('visible');
+    handleInputChange();
+}
+
 /**
  * Create a streaming message element
  */
@@ -530,86 +1701,322 @@ function createStreamingMessage() {
 /**
  * Update streaming message content
  */
-function updateStreamingMessage(messageEl, content) {
+function updateStreamingMessage(messageEl, content, citations) {
     const contentEl = messageEl.querySelector('.message-content');
     if (contentEl) {
-        contentEl.innerHTML = formatMessageContent(content);
+        renderMessageContent(contentEl, 'assistant', content, citations);
     }
 }
 
 /**
  * Finalize streaming message (remove cursor animation)
  */
-function finalizeStreamingMessage(messageEl, content) {
+function finalizeStreamingMessage(messageEl, content, citations) {
     messageEl.classList.remove('streaming');
     const contentEl = messageEl.querySelector('.message-content');
     if (contentEl) {
-        contentEl.innerHTML = formatMessageContent(content);
+        renderMessageContent(contentEl, 'assistant', content, citations);
     }
 }
 
 /**
- * Add a message to the chat
+ * Show a message in the chat without saving it
+ * @param {string} role - user, assistant or error
+ * @param {string} content - Message text
+ * @param {string} [isoTimestamp] - When it was sent; defaults to now
+ * @param {Array<Object>} [citations] - Passages an answer cites
  */
-function addMessage(role, content) {
+function renderMessage(role, content, isoTimestamp, citations) {
     const messageEl = document.createElement('div');
     messageEl.className = `message ${role}`;
 
-    const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-
-    // Format content (basic markdown for code blocks)
-    const formattedContent = formatMessageContent(content);
+    const timestamp = new Date(isoTimestamp || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
     messageEl.innerHTML = `
-    <div class="message-content">${formattedContent}</div>
+    <div class="message-content"></div>
     <div class="message-meta">
       <span class="timestamp">${timestamp}</span>
       <button class="copy-btn" onclick="copyMessage(this)" title="Copy">Copy</button>
     </div>
   `;
+    renderMessageContent(messageEl.querySelector('.message-content'), role, content, citations);
 
     elements.messages.appendChild(messageEl);
+    scrollToBottom();
+    return messageEl;
+}
+
+/**
+ * Show a saved message with its edit, regenerate and branch controls
+ * @param {Object} node - Message from the conversation tree
+ * @param {boolean} isLast - Whether it ends the branch on screen
+ */
+function renderMessageNode(node, isLast) {
+    const messageEl = renderMessage(node.role, node.content, node.timestamp, node.citations);
+    messageEl.dataset.id = node.id;
+    const meta = messageEl.querySelector('.message-meta');
+
+    const addAction = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'copy-btn';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        meta.appendChild(button);
+        return button;
+    };
+
+    if (node.role === 'user') {
+        addAction('Edit', 'Edit and ask again on a new branch', () => editQuestion(messageEl, node));
+    } else if (isLast && getMessageNode(state.conversation, node.parentId)?.role === 'user') {
+        addAction('Regenerate', 'Answer again on a new branch', () => regenerateAnswer(node.id));
+    }
+
+    const siblings = getMessageSiblings(state.conversation, node);
+    if (siblings.length > 1) {
+        const index = siblings.indexOf(node);
+        const switcher = document.createElement('span');
+        switcher.className = 'branch-switcher';
+
+        const prevBtn = addAction('‹', 'Previous branch', () => switchBranch(node.id, -1));
+        const position = document.createElement('span');
+        position.textContent = `${index + 1}/${siblings.length}`;
+        const nextBtn = addAction('›', 'Next branch', () => switchBranch(node.id, 1));
+        prevBtn.disabled = index === 0;
+        nextBtn.disabled = index === siblings.length - 1;
+
+        switcher.append(prevBtn, position, nextBtn);
+        meta.appendChild(switcher);
+    }
+}
+
+/**
+ * Show the branch of the conversation that is on screen
+ */
+function renderConversation() {
+    setConversation(state.conversation);
+    elements.messages.innerHTML = '';
+    state.messages.forEach((node, index) => renderMessageNode(node, index === state.messages.length - 1));
+}
+
+/**
+ * Replace the conversation, keeping the messages on screen in step with it
+ * @param {Object} tree - Conversation tree
+ */
+function setConversation(tree) {
+    state.conversation = tree;
+    state.messages = getMessagePath(tree);
+}
 
-    // Save to state
-    state.messages.push({ role, content, timestamp: new Date().toISOString() });
+/**
+ * Add a message to the end of the branch on screen
+ * @param {string} role - user, assistant or error
+ * @param {string} content - Message text
+ * @param {Object} [fields] - Extra fields saved with it
+ * @returns {Object} The new message
+ */
+function addMessage(role, content, fields = {}) {
+    const node = addMessageNode(state.conversation, { role, content, ...fields });
+    renderConversation();
     saveMessages();
+    return node;
+}
 
-    scrollToBottom();
+/**
+ * Fill a message bubble
+ *
+ * Answers are Markdown and go through the sanitizing renderer. Questions are shown
+ * as typed, since a stray * or _ in them was never meant as formatting.
+ *
+ * @param {Element} contentEl - The message's .message-content element
+ * @param {string} role - user, assistant or error
+ * @param {string} content - Message text
+ * @param {Array<Object>} [citations] - Passages an answer cites, shown as numbered footnotes
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive=true] - Whether footnotes and code blocks get buttons; off for exports
+ */
+function renderMessageContent(contentEl, role, content, citations = [], { interactive = true } = {}) {
+    if (role === 'user') {
+        if (interactive) contentEl.dataset.markdown = content;
+        contentEl.textContent = content;
+        return;
+    }
+
+    if (interactive) contentEl.dataset.markdown = placeCitationRefs(content, citations, number => `[${number}]`);
+    const fragment = renderMarkdown(
+        placeCitationRefs(content, citations, number => `\uE000${number}\uE001`),
+        { copyButtons: interactive }
+    );
+    linkCitationRefs(fragment, citations, interactive);
+    contentEl.replaceChildren(fragment);
+    if (citations.length > 0) {
+        contentEl.appendChild(renderCitationList(citations, interactive));
+    }
+}
+
+/**
+ * Put numbered references where an answer cites its sources
+ *
+ * file_search marks citations with markers like 【4:0†source】. Markers without a
+ * citation are dropped, and citations whose marker isn't in the text go at the end.
+ *
+ * @param {string} content - Answer text
+ * @param {Array<Object>} citations - marker and quote of each cited passage
+ * @param {function(number): string} toRef - Text of the reference to a footnote number
+ * @returns {string} Answer text with references
+ */
+function placeCitationRefs(content, citations, toRef) {
+    let text = content;
+    const unplaced = [];
+    citations.forEach((citation, index) => {
+        const ref = toRef(index + 1);
+        if (citation.marker && text.includes(citation.marker)) {
+            text = text.split(citation.marker).join(ref);
+        } else {
+            unplaced.push(ref);
+        }
+    });
+    text = text.replace(CITATION_MARKER_PATTERN, '');
+    return unplaced.length > 0 ? `${text}\n\n${unplaced.join(' ')}` : text;
+}
+
+/**
+ * Turn the reference placeholders in rendered Markdown into footnote links
+ * @param {Node} root - Rendered answer
+ * @param {Array<Object>} citations - Cited passages
+ * @param {boolean} interactive - Whether the links show the passage on the page
+ */
+function linkCitationRefs(root, citations, interactive) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (walker.currentNode.data.includes('\uE000')) textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach((node) => {
+        // The pattern's group puts each footnote number at an odd index
+        const parts = node.data.split(CITATION_REF_PATTERN).map((part, index) => {
+            if (index % 2 === 0) return part;
+            const sup = document.createElement('sup');
+            sup.className = 'citation-ref';
+            const citation = citations[Number(part) - 1];
+            if (interactive && citation) {
+                sup.appendChild(createCitationButton(part, citation));
+            } else {
+                sup.textContent = `[${part}]`;
+            }
+            return sup;
+        });
+        node.replaceWith(...parts.filter(part => part !== ''));
+    });
 }
 
 /**
- * Format message content with basic markdown
+ * Create a button that shows a cited passage on the page
+ * @param {string} label - Button text
+ * @param {Object} citation - Cited passage
+ * @returns {HTMLButtonElement} Button
  */
-function formatMessageContent(content) {
-    // Escape HTML
-    let formatted = content
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
+function createCitationButton(label, citation) {
+    const button = document.createElement('button');
+    button.className = 'citation-btn';
+    button.textContent = label;
+    button.title = 'Show on the page';
+    button.addEventListener('click', () => showCitation(button, citation));
+    return button;
+}
 
-    // Code blocks
-    formatted = formatted.replace(/```(\w*)\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>');
+/**
+ * List an answer's cited passages below it
+ * @param {Array<Object>} citations - Cited passages
+ * @param {boolean} interactive - Whether the items show the passage on the page
+ * @returns {HTMLOListElement} Footnotes
+ */
+function renderCitationList(citations, interactive) {
+    const list = document.createElement('ol');
+    list.className = 'citations';
+
+    citations.forEach((citation) => {
+        const item = document.createElement('li');
+        const quote = citation.quote ? citation.quote.replace(/\s+/g, ' ').trim() : '';
+        if (!interactive) {
+            item.textContent = quote ? `“${quote}”` : 'Source';
+        } else {
+            item.appendChild(createCitationButton(
+                quote ? `“${truncateText(quote, CONFIG.MAX_CITATION_PREVIEW_LENGTH)}”` : 'Source',
+                citation
+            ));
+        }
+        list.appendChild(item);
+    });
 
-    // Inline code
-    formatted = formatted.replace(/`([^`]+)`/g, '<code>$1</code>');
+    return list;
+}
 
-    // Bold
-    formatted = formatted.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+/**
+ * Scroll the page to a cited passage and highlight it, or show the quote if the page no longer has it
+ * @param {HTMLButtonElement} button - Footnote that was clicked
+ * @param {Object} citation - Cited passage
+ */
+function showCitation(button, citation) {
+    hideCitationTooltip();
+    if (!citation.quote || !state.currentTabId) {
+        showCitationTooltip(button, citation);
+        return;
+    }
 
-    // Italic
-    formatted = formatted.replace(/\*([^*]+)\*/g, '<em>$1</em>');
+    chrome.tabs.sendMessage(state.currentTabId, { type: 'HIGHLIGHT_CITATION', quote: citation.quote }, (response) => {
+        if (chrome.runtime.lastError || !response?.found) {
+            showCitationTooltip(button, citation);
+        }
+    });
+}
 
-    // Line breaks
-    formatted = formatted.replace(/\n/g, '<br>');
+/**
+ * Show a cited passage's quote next to its footnote
+ * @param {HTMLButtonElement} button - Footnote that was clicked
+ * @param {Object} citation - Cited passage
+ */
+function showCitationTooltip(button, citation) {
+    const tooltip = elements.citationTooltip;
+    const note = document.createElement('p');
+    note.className = 'citation-tooltip-note';
+
+    if (citation.quote) {
+        const quote = document.createElement('p');
+        quote.textContent = `“${citation.quote.replace(/\s+/g, ' ').trim()}”`;
+        note.textContent = 'This passage is no longer on the page.';
+        tooltip.replaceChildren(quote, note);
+    } else {
+        note.textContent = 'The source didn\'t say which passage it cites.';
+        tooltip.replaceChildren(note);
+    }
+    tooltip.classList.remove('hidden');
+
+    // Below the footnote, or above it when there is no room
+    const rect = button.getBoundingClientRect();
+    const left = Math.max(8, Math.min(rect.left - 16, window.innerWidth - tooltip.offsetWidth - 8));
+    let top = rect.bottom + 6;
+    if (top + tooltip.offsetHeight > window.innerHeight - 8) {
+        top = Math.max(8, rect.top - tooltip.offsetHeight - 6);
+    }
+    tooltip.style.left = `${left}px`;
+    tooltip.style.top = `${top}px`;
+}
 
-    return formatted;
+/**
+ * Hide the citation tooltip
+ */
+function hideCitationTooltip() {
+    elements.citationTooltip.classList.add('hidden');
 }
 
 /**
  * Copy message to clipboard
  */
 window.copyMessage = function (btn) {
-    const content = btn.closest('.message').querySelector('.message-content').textContent;
+    const contentEl = btn.closest('.message').querySelector('.message-content');
+    const content = contentEl.dataset.markdown ?? contentEl.textContent;
     navigator.clipboard.writeText(content).then(() => {
         const originalText = btn.textContent;
         btn.textContent = 'Copied!';
@@ -621,48 +2028,36 @@ window.copyMessage = function (btn) {
  * Load messages from storage
  */
 async function loadMessages() {
-    const sessionKey = `messages_${hashString(state.currentPageUrl)}`;
+    const sessionKey = `messages_${hashString(state.sessionUrl)}`;
     const result = await chrome.storage.local.get([sessionKey]);
+    const tree = toMessageTree(result[sessionKey]);
 
-    if (result[sessionKey] && result[sessionKey].length > 0) {
-        state.messages = result[sessionKey];
+    if (tree.nodes.length > 0) {
+        state.conversation = tree;
 
         // Show chat container
         elements.welcomeScreen.classList.add('hidden');
         elements.chatContainer.classList.add('visible');
 
         // Render messages
-        elements.messages.innerHTML = '';
-        state.messages.forEach(msg => {
-            const messageEl = document.createElement('div');
-            messageEl.className = `message ${msg.role}`;
-
-            const timestamp = new Date(msg.timestamp).toLocaleTimeString([], {
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-
-            messageEl.innerHTML = `
-        <div class="message-content">${formatMessageContent(msg.content)}</div>
-        <div class="message-meta">
-          <span class="timestamp">${timestamp}</span>
-          <button class="copy-btn" onclick="copyMessage(this)" title="Copy">Copy</button>
-        </div>
-      `;
-
-            elements.messages.appendChild(messageEl);
-        });
-
-        scrollToBottom();
+        renderConversation();
     }
 }
 
 /**
  * Save messages to storage
+ *
+ * The background writes every saved chat, since it also saves answers while the panel
+ * is closed; it keeps the ones this panel hasn't loaded yet.
+ *
+ * @param {string} [sessionUrl] - Session the chat belongs to
+ * @param {Object|null} [conversation] - Conversation to save, or null to delete the saved chat
  */
-async function saveMessages() {
-    const sessionKey = `messages_${hashString(state.currentPageUrl)}`;
-    await chrome.storage.local.set({ [sessionKey]: state.messages });
+async function saveMessages(sessionUrl = state.sessionUrl, conversation = state.conversation) {
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_MESSAGES', sessionUrl, conversation });
+    if (!response?.success) {
+        console.error('[Little Elf] Failed to save messages:', response?.error);
+    }
 }
 
 /**
@@ -680,8 +2075,10 @@ function handleInputChange() {
         elements.charCounter.classList.add('warning');
     }
 
-    // Enable/disable send button
+    // Enable/disable send button; while an answer streams it gives way to the stop button
     elements.sendBtn.disabled = length === 0 || length > CONFIG.MAX_MESSAGE_LENGTH || state.isProcessing;
+    elements.sendBtn.classList.toggle('hidden', state.isProcessing);
+    elements.stopBtn.classList.toggle('hidden', !state.isProcessing);
 }
 
 /**
@@ -728,6 +2125,52 @@ function updateTokenDisplay() {
     }
 }
 
+/**
+ * Update the display of how much of the page was captured
+ */
+function updateCaptureDisplay() {
+    const capture = state.capture;
+
+    if (!capture || capture.totalLength === 0) {
+        elements.captureInfo.textContent = '';
+        elements.captureInfo.title = '';
+        elements.captureInfo.classList.remove('partial');
+        return;
+    }
+
+    const percent = Math.round((capture.storedLength / capture.totalLength) * 100);
+    const partsLabel = capture.totalParts > 1 ? ` · ${capture.storedParts}/${capture.totalParts} parts` : '';
+
+    elements.captureInfo.textContent = `${percent}% captured${partsLabel}`;
+    elements.captureInfo.title = `${formatNumber(capture.storedLength)} of ${formatNumber(capture.totalLength)} characters sent to the assistant`;
+    elements.captureInfo.classList.toggle('partial', capture.storedParts < capture.totalParts);
+}
+
+/**
+ * Show a warning badge when the page tried to steer the assistant
+ */
+function updateSafetyDisplay() {
+    const injections = state.safety?.injections || [];
+    const count = state.safety?.injectionCount || 0;
+
+    elements.safetyBadge.classList.toggle('hidden', count === 0);
+    elements.safetyDetails.classList.add('hidden');
+    elements.safetyList.innerHTML = '';
+    if (count === 0) return;
+
+    const hiddenCount = injections.filter(injection => injection.location === 'hidden').length;
+    elements.safetyBadge.title = `This page contains ${count} passage(s) that try to instruct the AI`;
+    elements.safetySummary.textContent = hiddenCount > 0 ?
+        'This page hides text that tries to instruct the AI. Hidden passages were removed; visible ones are marked as page content.' :
+        'This page contains text that tries to instruct the AI. It was marked as page content, so answers should not follow it.';
+
+    injections.forEach((injection) => {
+        const item = document.createElement('li');
+        item.textContent = `${injection.location === 'hidden' ? 'Hidden' : 'Visible'}: ${injection.text}`;
+        elements.safetyList.appendChild(item);
+    });
+}
+
 /**
  * Update assistant status display
  */
@@ -755,6 +2198,12 @@ function toggleSettings(show) {
     } else {
         elements.settingsPanel.classList.toggle('visible');
     }
+
+    if (elements.settingsPanel.classList.contains('visible')) {
+        if (!state.editingRuleId) resetRuleForm();
+        // The site switch follows the active tab
+        renderRedactionSettings();
+    }
 }
 
 /**
@@ -766,16 +2215,17 @@ async function refreshContext() {
     try {
         // Clear current session
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        const sessionKey = `session_${hashString(tab.url)}`;
-        const messagesKey = `messages_${hashString(tab.url)}`;
+        const sessionUrl = await getSessionUrl(tab);
+        const sessionKey = `session_${hashString(sessionUrl)}`;
 
-        await chrome.storage.local.remove([sessionKey, messagesKey]);
+        await chrome.storage.local.remove([sessionKey]);
+        await saveMessages(sessionUrl, null);
 
         // Reset state
         state.contentId = null;
         state.assistantId = null;
         state.threadId = null;
-        state.messages = [];
+        setConversation(createMessageTree());
         state.isInitialized = false;
 
         // Clear UI
@@ -792,16 +2242,112 @@ async function refreshContext() {
     }
 }
 
+/**
+ * Offer to refresh context after the page navigated in place or changed its content
+ */
+function showPageChangedBanner(change) {
+    state.pendingPageChange = change;
+
+    if (change.reason === 'route') {
+        elements.pageChangedText.textContent = `Page changed to “${change.title || change.url}”`;
+        elements.newSessionBtn.textContent = 'New session';
+    } else {
+        elements.pageChangedText.textContent = 'Page content changed';
+        elements.newSessionBtn.textContent = 'Start over';
+    }
+
+    elements.pageChangedBanner.classList.remove('hidden');
+}
+
+/**
+ * Hide the page changed banner
+ */
+function hidePageChangedBanner() {
+    state.pendingPageChange = null;
+    elements.pageChangedBanner.classList.add('hidden');
+}
+
+/**
+ * Upload the page's current content and keep chatting in the same conversation
+ */
+async function updateBackendContext() {
+    if (!state.threadId) {
+        await initializeForCurrentPage();
+        return;
+    }
+
+    hidePageChangedBanner();
+    setStatus('processing', 'Updating context...');
+
+    try {
+        const content = await getPageContent(state.currentTabId);
+        if (!content) {
+            setStatus('error', 'Failed to extract content');
+            return;
+        }
+
+        const storeResult = await storeContent(content);
+        const assistantResult = await apiRequest('/api/assistant/create', 'POST', {
+            contentId: storeResult.contentId,
+        });
+
+        // The thread is kept so the conversation continues with the new content
+        state.contentId = storeResult.contentId;
+        state.assistantId = assistantResult.assistantId;
+        state.capture = storeResult.capture;
+        state.safety = content.safety || null;
+        state.currentPageUrl = content.url;
+        state.currentPageTitle = content.title || 'Untitled';
+        elements.pageInfo.textContent = state.currentPageTitle;
+        elements.pageInfo.title = state.currentPageUrl;
+
+        const sessionKey = `session_${hashString(state.sessionUrl)}`;
+        await chrome.storage.local.set({
+            [sessionKey]: {
+                contentId: state.contentId,
+                assistantId: state.assistantId,
+                threadId: state.threadId,
+                capture: state.capture,
+                safety: state.safety,
+                redactionMap: state.redactionMap,
+                createdAt: new Date().toISOString(),
+            },
+        });
+
+        updateCaptureDisplay();
+        updateSafetyDisplay();
+        updateAssistantStatus();
+        setStatus('connected', 'Context updated');
+    } catch (error) {
+        console.error('[Little Elf] Context update error:', error);
+        setStatus('error', error.message || 'Failed to update context');
+    }
+}
+
+/**
+ * Start a fresh session for the changed page
+ */
+async function startSessionForChangedPage() {
+    const change = state.pendingPageChange;
+    hidePageChangedBanner();
+
+    if (change?.reason === 'route') {
+        // The new route gets its own session (or resumes one it already has)
+        await initializeForCurrentPage();
+    } else {
+        await refreshContext();
+    }
+}
+
 /**
  * Clear conversation
  */
 async function clearConversation() {
     if (!confirm('Clear all messages for this page?')) return;
 
-    const messagesKey = `messages_${hashString(state.currentPageUrl)}`;
-    await chrome.storage.local.remove([messagesKey]);
+    await saveMessages(state.sessionUrl, null);
 
-    state.messages = [];
+    setConversation(createMessageTree());
     elements.messages.innerHTML = '';
     elements.welcomeScreen.classList.remove('hidden');
     elements.chatContainer.classList.remove('visible');
@@ -825,25 +2371,91 @@ function exportChat() {
     markdown += `**Date:** ${new Date().toLocaleString()}\n\n`;
     markdown += `---\n\n`;
 
+    let footnote = 0;
     state.messages.forEach(msg => {
         const role = msg.role === 'user' ? '👤 You' : '🧝 Little Elf';
         const time = new Date(msg.timestamp).toLocaleString();
         markdown += `### ${role}\n`;
         markdown += `*${time}*\n\n`;
-        markdown += `${msg.content}\n\n`;
+        markdown += `${placeCitationRefs(msg.content, msg.citations || [], number => `[^${footnote + number}]`)}\n\n`;
+
+        // Footnote labels are numbered across the export, since each answer numbers its own from 1
+        (msg.citations || []).forEach((citation, index) => {
+            const quote = citation.quote ? citation.quote.replace(/\s+/g, ' ').trim() : 'Source';
+            markdown += `[^${footnote + index + 1}]: ${quote}\n`;
+        });
+        if (msg.citations?.length) markdown += '\n';
+        footnote += msg.citations?.length || 0;
+    });
+
+    downloadFile(markdown, 'text/markdown', `little-elf-chat-${Date.now()}.md`);
+
+    toggleSettings(false);
+    showNotification('Chat exported');
+}
+
+/**
+ * Export chat as a standalone HTML page, rendered the way the chat shows it
+ */
+function exportChatHtml() {
+    if (state.messages.length === 0) {
+        showNotification('No messages to export');
+        return;
+    }
+
+    const doc = document.implementation.createHTMLDocument(`Little Elf Chat - ${state.currentPageTitle}`);
+    const meta = doc.createElement('meta');
+    meta.setAttribute('charset', 'utf-8');
+    const style = doc.createElement('style');
+    style.textContent = CHAT_EXPORT_STYLES;
+    doc.head.prepend(meta);
+    doc.head.appendChild(style);
+
+    const heading = doc.createElement('h1');
+    heading.textContent = 'Little Elf Chat Export';
+    const source = doc.createElement('p');
+    source.className = 'source';
+    const link = doc.createElement('a');
+    if (isSafeMarkdownLink(state.currentPageUrl)) link.href = state.currentPageUrl;
+    link.textContent = state.currentPageTitle;
+    source.append(link, ` · ${new Date().toLocaleString()}`);
+    doc.body.append(heading, source);
+
+    state.messages.forEach((msg) => {
+        const messageEl = doc.createElement('section');
+        messageEl.className = `message ${msg.role}`;
+
+        const header = doc.createElement('h3');
+        header.textContent = `${msg.role === 'user' ? '👤 You' : '🧝 Little Elf'} · ${new Date(msg.timestamp).toLocaleString()}`;
+
+        const contentEl = doc.createElement('div');
+        contentEl.className = 'message-content';
+        renderMessageContent(contentEl, msg.role, msg.content, msg.citations, { interactive: false });
+
+        messageEl.append(header, contentEl);
+        doc.body.appendChild(messageEl);
     });
 
-    // Download file
-    const blob = new Blob([markdown], { type: 'text/markdown' });
+    downloadFile(`<!DOCTYPE html>\n${doc.documentElement.outerHTML}`, 'text/html', `little-elf-chat-${Date.now()}.html`);
+
+    toggleSettings(false);
+    showNotification('Chat exported');
+}
+
+/**
+ * Save text as a file through the browser's downloads
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ * @param {string} filename - Suggested file name
+ */
+function downloadFile(content, type, filename) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `little-elf-chat-${Date.now()}.md`;
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(url);
-
-    toggleSettings(false);
-    showNotification('Chat exported');
 }
 
 /**
@@ -857,8 +2469,12 @@ async function resetAllData() {
     state.contentId = null;
     state.assistantId = null;
     state.threadId = null;
-    state.messages = [];
+    setConversation(createMessageTree());
     state.totalTokens = 0;
+    state.extractionRules = [];
+    state.sitePolicy = normalizeSitePolicy();
+    state.redaction = normalizeRedactionSettings();
+    state.redactionMap = createRedactionMap();
     state.isInitialized = false;
 
     elements.messages.innerHTML = '';
@@ -866,6 +2482,10 @@ async function resetAllData() {
     elements.chatContainer.classList.remove('visible');
     updateTokenDisplay();
     updateAssistantStatus();
+    renderExtractionRules();
+    renderSitePolicy();
+    elements.redactionPatterns.value = '';
+    renderRedactionSettings();
 
     toggleSettings(false);
     showNotification('All data reset');
@@ -0,0 +1,136 @@
+/**
+ * Little Elf - Conversation tree tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// sidepanel/conversation.js is an ES module; without its exports it runs as a classic script
+const source = fs.readFileSync(path.join(__dirname, '../sidepanel/conversation.js'), 'utf8').replace(/^export /gm, '');
+const context = vm.createContext({ crypto });
+vm.runInContext(source, context);
+const {
+    addMessageNode,
+    createMessageTree,
+    getLatestLeafId,
+    getMessageNode,
+    getMessagePath,
+    getMessageSiblings,
+    getMessageThreadId,
+    mergeMessageTrees,
+    toMessageTree,
+} = vm.runInContext('({ addMessageNode, createMessageTree, getLatestLeafId, getMessageNode, getMessagePath, getMessageSiblings, getMessageThreadId, mergeMessageTrees, toMessageTree })', context);
+
+const SESSION_THREAD = 'thread-session';
+
+/**
+ * Ask a question at the end of the active branch, the way the sidepanel does
+ */
+function ask(tree, content) {
+    const threadId = getMessageThreadId(tree, tree.activeId, SESSION_THREAD);
+    return addMessageNode(tree, { role: 'user', content, threadId });
+}
+
+/**
+ * Save an answer the way the background does, in the thread it was asked in
+ */
+function answer(tree, question, content, threadId = question.threadId) {
+    return addMessageNode(tree, { role: 'assistant', content, threadId }, question.id);
+}
+
+/**
+ * Show the next or previous alternative of a message, the way the branch switcher does
+ */
+function switchBranch(tree, id, offset) {
+    const node = getMessageNode(tree, id);
+    const siblings = getMessageSiblings(tree, node);
+    tree.activeId = getLatestLeafId(tree, siblings[siblings.indexOf(node) + offset].id);
+}
+
+// Arrays from the script's context are copied so they compare equal to literals
+const contents = tree => Array.from(getMessagePath(tree), node => node.content);
+
+test('reads chats saved before branching as a single branch', () => {
+    const tree = toMessageTree([
+        { role: 'user', content: 'Q1' },
+        { role: 'assistant', content: 'A1' },
+    ]);
+
+    assert.deepStrictEqual(contents(tree), ['Q1', 'A1']);
+    assert.strictEqual(tree.activeId, 'm1');
+    assert.strictEqual(getMessageThreadId(tree, tree.activeId, SESSION_THREAD), SESSION_THREAD);
+    assert.deepStrictEqual(toMessageTree(undefined), createMessageTree());
+});
+
+test('a regenerated answer continues in its own thread', () => {
+    const tree = createMessageTree();
+    const q1 = ask(tree, 'Q1');
+    const a1 = answer(tree, q1, 'A1');
+
+    // Regenerating shows the question again, then adds the new answer beside the old one
+    tree.activeId = q1.id;
+    const a1b = answer(tree, q1, 'A1b', 'thread-regenerated');
+    assert.strictEqual(tree.activeId, a1b.id);
+    assert.deepStrictEqual(Array.from(getMessageSiblings(tree, a1), node => node.id), [a1.id, a1b.id]);
+
+    const q2 = ask(tree, 'Q2');
+    assert.strictEqual(q2.threadId, 'thread-regenerated');
+    answer(tree, q2, 'A2');
+    assert.deepStrictEqual(contents(tree), ['Q1', 'A1b', 'Q2', 'A2']);
+
+    // Back on the original answer, follow-ups go to the session's thread again
+    switchBranch(tree, a1b.id, -1);
+    assert.strictEqual(tree.activeId, a1.id);
+    assert.strictEqual(getMessageThreadId(tree, tree.activeId, SESSION_THREAD), SESSION_THREAD);
+    assert.strictEqual(ask(tree, 'Q3').threadId, SESSION_THREAD);
+});
+
+test('switching branches shows the latest message of each and keeps their threads apart', () => {
+    const tree = createMessageTree();
+    const q1 = ask(tree, 'Q1');
+    const a1 = answer(tree, q1, 'A1');
+    const q2 = ask(tree, 'Q2');
+    answer(tree, q2, 'A2');
+
+    // Editing Q2 starts a sibling question on a thread of its own
+    const q2b = addMessageNode(tree, { role: 'user', content: 'Q2b', threadId: 'thread-edited' }, a1.id);
+    const a2b = answer(tree, q2b, 'A2b');
+    assert.strictEqual(a2b.threadId, 'thread-edited');
+
+    switchBranch(tree, q2b.id, -1);
+    assert.deepStrictEqual(contents(tree), ['Q1', 'A1', 'Q2', 'A2']);
+    assert.strictEqual(getMessageThreadId(tree, tree.activeId, SESSION_THREAD), SESSION_THREAD);
+
+    switchBranch(tree, q2.id, 1);
+    assert.strictEqual(tree.activeId, a2b.id);
+    assert.deepStrictEqual(contents(tree), ['Q1', 'A1', 'Q2b', 'A2b']);
+    assert.strictEqual(getMessageThreadId(tree, tree.activeId, SESSION_THREAD), 'thread-edited');
+});
+
+test('saving a panel\'s copy keeps answers the background saved meanwhile', () => {
+    const panel = createMessageTree();
+    const q1 = ask(panel, 'Q1');
+    answer(panel, q1, 'A1');
+    const stored = JSON.parse(JSON.stringify(panel));
+
+    // The panel asks Q2 while the background saves a late answer on another branch
+    const q2 = ask(panel, 'Q2');
+    const late = answer(stored, q1, 'A1 late');
+    stored.activeId = panel.nodes[1].id;
+
+    const merged = mergeMessageTrees(stored, JSON.parse(JSON.stringify(panel)));
+    assert.strictEqual(merged.activeId, q2.id);
+    assert.ok(getMessageNode(merged, late.id));
+    assert.deepStrictEqual(contents(merged), ['Q1', 'A1', 'Q2']);
+
+    // An answer saved before the panel's question arrived still ends up on screen
+    const a2 = answer(merged, q2, 'A2');
+    merged.activeId = late.id;
+    const remerged = mergeMessageTrees(merged, JSON.parse(JSON.stringify(panel)));
+    assert.strictEqual(remerged.activeId, a2.id);
+    assert.deepStrictEqual(contents(remerged), ['Q1', 'A1', 'Q2', 'A2']);
+});
@@ -0,0 +1,215 @@
+/**
+ * Little Elf - Markdown sanitizer tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const VOID_TAGS = new Set(['BR', 'HR', 'IMG', 'INPUT']);
+
+/**
+ * Minimal stand-in for the DOM nodes sanitizeMarkdownHtml() walks
+ *
+ * Only what the sanitizer calls is implemented. Like a browser, elements inside
+ * <svg> and <math> keep lowercase tag names.
+ */
+class FakeNode {
+    constructor(nodeType) {
+        this.nodeType = nodeType;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    append(...nodes) {
+        nodes.forEach((node) => {
+            node.parentNode = this;
+            this.childNodes.push(node);
+        });
+    }
+
+    remove() {
+        this.replaceWith();
+    }
+
+    replaceWith(...nodes) {
+        const siblings = this.parentNode.childNodes;
+        nodes.forEach((node) => {
+            node.parentNode = this.parentNode;
+        });
+        siblings.splice(siblings.indexOf(this), 1, ...nodes.filter(node => node !== this));
+        this.parentNode = null;
+    }
+}
+
+class FakeElement extends FakeNode {
+    constructor(tagName) {
+        super(1);
+        this.tagName = tagName;
+        this.attributeMap = new Map();
+    }
+
+    get attributes() {
+        return Array.from(this.attributeMap.keys(), name => ({ name }));
+    }
+
+    getAttribute(name) {
+        return this.attributeMap.has(name) ? this.attributeMap.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributeMap.set(name, String(value));
+    }
+
+    hasAttribute(name) {
+        return this.attributeMap.has(name);
+    }
+
+    removeAttribute(name) {
+        this.attributeMap.delete(name);
+    }
+}
+
+/**
+ * Parse well-formed HTML into fake nodes; text keeps its entities as written
+ */
+function parseHtml(html) {
+    const root = new FakeNode(11);
+    const open = [root];
+    const token = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>|[^<]+|</g;
+    let match;
+
+    while ((match = token.exec(html))) {
+        const [text, closing, opening, attributes = ''] = match;
+        const parent = open[open.length - 1];
+
+        if (text.startsWith('<!--')) {
+            parent.append(new FakeNode(8));
+        } else if (closing) {
+            const index = open.findLastIndex(node => node.tagName?.toUpperCase() === closing.toUpperCase());
+            if (index > 0) open.length = index;
+        } else if (opening) {
+            const foreign = /^(svg|math)$/i.test(opening) || open.some(node => /^(svg|math)$/.test(node.tagName));
+            const element = new FakeElement(foreign ? opening.toLowerCase() : opening.toUpperCase());
+            for (const [, name, , value = ''] of attributes.matchAll(/([^\s=>/]+)(?:\s*=\s*(["']?)((?:(?!\2)[^>])*)\2)?/g)) {
+                element.setAttribute(name.toLowerCase(), value);
+            }
+            parent.append(element);
+            if (!VOID_TAGS.has(element.tagName) && !text.endsWith('/>')) open.push(element);
+        } else {
+            const node = new FakeNode(3);
+            node.textContent = text;
+            parent.append(node);
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Write fake nodes back out as HTML
+ */
+function serialize(node) {
+    return node.childNodes.map((child) => {
+        if (child.nodeType === 3) return child.textContent;
+        if (child.nodeType !== 1) return '<!---->';
+        const attributes = child.attributes.map(({ name }) => ` ${name}="${child.getAttribute(name)}"`).join('');
+        const tag = child.tagName.toLowerCase();
+        return VOID_TAGS.has(child.tagName) ? `<${tag}${attributes}>` : `<${tag}${attributes}>${serialize(child)}</${tag}>`;
+    }).join('');
+}
+
+const context = vm.createContext({
+    URL,
+    Node: { ELEMENT_NODE: 1, TEXT_NODE: 3 },
+    document: {
+        createElement: () => {
+            const template = {};
+            Object.defineProperty(template, 'innerHTML', {
+                set: (html) => {
+                    template.content = parseHtml(html);
+                },
+            });
+            return template;
+        },
+    },
+});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../sidepanel/markdown.js'), 'utf8'), context);
+const {
+    MARKDOWN_ALLOWED_TAGS,
+    MARKDOWN_DROPPED_TAGS,
+    MARKDOWN_SAFE_PROTOCOLS,
+    isSafeMarkdownLink,
+    renderMarkdownBlocks,
+    sanitizeMarkdownHtml,
+} = vm.runInContext('({ MARKDOWN_ALLOWED_TAGS, MARKDOWN_DROPPED_TAGS, MARKDOWN_SAFE_PROTOCOLS, isSafeMarkdownLink, renderMarkdownBlocks, sanitizeMarkdownHtml })', context);
+
+const sanitize = html => serialize(sanitizeMarkdownHtml(html));
+const render = markdown => sanitize(renderMarkdownBlocks(markdown.split('\n')));
+
+test('the allowlist has no scriptable tags or attributes', () => {
+    ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'IMG', 'SVG', 'MATH', 'FORM', 'LINK', 'META', 'BASE'].forEach((tag) => {
+        assert.strictEqual(MARKDOWN_ALLOWED_TAGS[tag], undefined, `${tag} is allowed`);
+    });
+    ['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH'].forEach((tag) => {
+        assert.ok(MARKDOWN_DROPPED_TAGS.has(tag), `${tag} is not dropped with its content`);
+    });
+    Object.entries(MARKDOWN_ALLOWED_TAGS).forEach(([tag, attributes]) => {
+        attributes.forEach((name) => {
+            assert.ok(!/^on|^(style|src|srcset|action|formaction|xlink:href)$/.test(name), `${tag} allows ${name}`);
+        });
+    });
+    assert.deepStrictEqual(Array.from(MARKDOWN_SAFE_PROTOCOLS).sort(), ['http:', 'https:', 'mailto:']);
+});
+
+test('only http(s) and mailto links are safe', () => {
+    ['https://example.com/', 'http://example.com/a?b#c', 'mailto:elf@example.com'].forEach((href) => {
+        assert.strictEqual(isSafeMarkdownLink(href), true, href);
+    });
+    [
+        'javascript:alert(1)', 'JaVaScRiPt:alert(1)', ' javascript:alert(1)', 'java\tscript:alert(1)',
+        'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)', 'file:///etc/passwd', '/relative', '', null,
+    ].forEach((href) => {
+        assert.strictEqual(isSafeMarkdownLink(href), false, String(href));
+    });
+});
+
+test('removes scripts, styles and other dropped elements with their content', () => {
+    assert.strictEqual(sanitize('<p>a<script>alert(1)</script>b</p>'), '<p>ab</p>');
+    assert.strictEqual(sanitize('<style>p{}</style><iframe src="https://e.com"></iframe><p>ok</p>'), '<p>ok</p>');
+    assert.strictEqual(sanitize('<p>a<!-- <script>x</script> -->b</p>'), '<p>ab</p>');
+});
+
+test('removes event handlers and unknown attributes', () => {
+    assert.strictEqual(sanitize('<p onclick="alert(1)" style="color:red">a</p>'), '<p>a</p>');
+    assert.strictEqual(sanitize('<a href="https://e.com" onmouseover="alert(1)">a</a>'), '<a href="https://e.com" target="_blank" rel="noopener noreferrer">a</a>');
+    assert.strictEqual(sanitize('<img src="x" onerror="alert(1)"><div onclick="x"><em>kept</em></div>'), '<em>kept</em>');
+    assert.strictEqual(sanitize('<code class="language-js evil">x</code>'), '<code class="language-js">x</code>');
+});
+
+test('removes javascript: and other unsafe link targets', () => {
+    assert.strictEqual(sanitize('<a href="javascript:alert(1)">a</a>'), '<a>a</a>');
+    assert.strictEqual(render('[a](javascript:alert(1))'), '<p><a>a</a></p>');
+    assert.strictEqual(render('[a]( JaVaScRiPt:alert(1))'), '<p><a>a</a></p>');
+    assert.strictEqual(render('![i](javascript:alert(1))'), '<p><a>🖼 i</a></p>');
+    assert.strictEqual(render('[a](data:text/html,<script>alert(1)</script>)'), '<p><a>a</a></p>');
+});
+
+test('drops SVG and MathML, whatever the case of their tag names', () => {
+    assert.strictEqual(sanitize('<p>a<svg onload="alert(1)"><script>alert(1)</script></svg>b</p>'), '<p>ab</p>');
+    assert.strictEqual(sanitize('<SVG><a href="javascript:alert(1)">x</a></SVG><math><mi>x</mi></math>'), '');
+});
+
+test('keeps only checkbox inputs, disabled', () => {
+    assert.strictEqual(sanitize('<input type="text" value="x"><input type="checkbox" checked onclick="x">'), '<input type="checkbox" checked="" disabled="">');
+});
+
+test('escapes raw HTML written in Markdown', () => {
+    assert.strictEqual(render('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.strictEqual(render('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+    assert.strictEqual(render('<svg onload=alert(1)></svg>'), '<p>&lt;svg onload=alert(1)&gt;&lt;/svg&gt;</p>');
+    assert.strictEqual(render('[x](https://e.com "t\\" onmouseover=\\"alert(1)")'), '<p><a href="https://e.com" title="t&quot; onmouseover=&quot;alert(1)" target="_blank" rel="noopener noreferrer">x</a></p>');
+});
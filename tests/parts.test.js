@@ -0,0 +1,146 @@
+/**
+ * Little Elf - Content part tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// sidepanel/parts.js is an ES module; without its exports it runs as a classic script
+const warnings = [];
+const source = fs.readFileSync(path.join(__dirname, '../sidepanel/parts.js'), 'utf8').replace(/^export /gm, '');
+const context = vm.createContext({
+    console: { warn: message => warnings.push(message), error: message => warnings.push(message) },
+});
+vm.runInContext(source, context);
+const { splitContentIntoParts, splitOversizedText, storeContentParts } = vm.runInContext(
+    '({ splitContentIntoParts, splitOversizedText, storeContentParts })',
+    context,
+);
+
+// Objects from the script's context are copied so they compare equal to literals
+const copy = value => JSON.parse(JSON.stringify(value));
+
+const paragraph = (word, length) => `${word} `.repeat(Math.ceil(length / (word.length + 1))).slice(0, length).trim();
+
+test('keeps content up to the limit in a single part', () => {
+    const content = 'x'.repeat(100);
+    assert.deepStrictEqual(copy(splitContentIntoParts(content, 100)), [{ index: 0, heading: '', content }]);
+    assert.deepStrictEqual(copy(splitOversizedText(content, 100)), [content]);
+});
+
+test('fills a part exactly to the limit before starting the next', () => {
+    // Two sections joined by a blank line come to exactly 100 characters
+    const first = `# A\n${'a'.repeat(41)}`;
+    const second = `# B\n${'b'.repeat(49)}`;
+    const third = `# C\n${'c'.repeat(10)}`;
+    assert.strictEqual(first.length + second.length + 2, 100);
+
+    const parts = copy(splitContentIntoParts([first, second, third].join('\n'), 100));
+    assert.deepStrictEqual(parts.map(part => part.content.length), [100, third.length]);
+    assert.deepStrictEqual(parts.map(part => part.heading), ['A', 'C']);
+});
+
+test('cuts one oversized section into continued parts', () => {
+    const body = [paragraph('alpha', 70), paragraph('beta', 70), paragraph('gamma', 70)].join('\n\n');
+    const parts = copy(splitContentIntoParts(`# Only section\n${body}`, 100));
+
+    assert.ok(parts.length > 1);
+    parts.forEach((part, index) => {
+        assert.strictEqual(part.index, index);
+        assert.ok(part.content.length <= 100, `part ${index} is ${part.content.length} characters`);
+    });
+    assert.strictEqual(parts[0].heading, 'Only section');
+    parts.slice(1).forEach(part => assert.strictEqual(part.heading, 'Only section (continued)'));
+    assert.strictEqual(parts.map(part => part.content).join(' ').replace(/\s+/g, ' '), `# Only section ${body}`.replace(/\s+/g, ' '));
+});
+
+test('splits content without headings at paragraph, line and character boundaries', () => {
+    const paragraphs = copy(splitContentIntoParts(`${paragraph('one', 60)}\n\n${paragraph('two', 60)}`, 100));
+    assert.deepStrictEqual(paragraphs.map(part => part.heading), ['', '']);
+    assert.deepStrictEqual(paragraphs.map(part => part.content), [paragraph('one', 60), paragraph('two', 60)]);
+
+    assert.deepStrictEqual(copy(splitOversizedText(`${'a'.repeat(70)}\n${'b'.repeat(70)}`, 100)), ['a'.repeat(70), 'b'.repeat(70)]);
+    assert.deepStrictEqual(copy(splitOversizedText('z'.repeat(250), 100)), ['z'.repeat(100), 'z'.repeat(100), 'z'.repeat(50)]);
+});
+
+test('does not split at headings inside code fences', () => {
+    const content = `# Code\n\`\`\`\n# not a heading\n${'x'.repeat(60)}\n\`\`\`\n# Next\n${'y'.repeat(60)}`;
+    const parts = copy(splitContentIntoParts(content, 100));
+    assert.deepStrictEqual(parts.map(part => part.heading), ['Code', 'Next']);
+});
+
+/**
+ * Store parts against a fake backend
+ * @param {Function} reply - Gets the request number and body, returns the backend's reply
+ */
+async function store(parts, reply) {
+    const requests = [];
+    const result = await storeContentParts(parts, {
+        page: { url: 'https://example.com/', title: 'Example' },
+        structured: { tables: ['table'] },
+        totalLength: 1000,
+        store: async (body) => {
+            requests.push(copy(body));
+            return reply(requests.length, body);
+        },
+    });
+    return { requests, result: copy(result) };
+}
+
+const threeParts = [
+    { index: 0, heading: 'One', content: 'first' },
+    { index: 1, heading: '', content: 'second' },
+    { index: 2, heading: 'Three', content: 'third' },
+];
+
+test('stores a single part in one request, as before paging', async () => {
+    const { requests, result } = await store([{ index: 0, heading: '', content: 'all' }], () => ({ contentId: 'c1' }));
+    assert.deepStrictEqual(requests, [{ url: 'https://example.com/', title: 'Example', tables: ['table'], content: 'all' }]);
+    assert.deepStrictEqual(result, {
+        contentId: 'c1',
+        capture: { totalLength: 1000, storedLength: 1000, totalParts: 1, storedParts: 1 },
+    });
+});
+
+test('sends later parts to the contentId the first one got', async () => {
+    const { requests, result } = await store(threeParts, () => ({ contentId: 'c1' }));
+
+    assert.deepStrictEqual(requests.map(body => body.contentId), [undefined, 'c1', 'c1']);
+    assert.deepStrictEqual(requests.map(body => body.tables), [['table'], undefined, undefined]);
+    assert.deepStrictEqual(requests.map(body => body.content), [
+        '[Part 1 of 3: One]\n\nfirst',
+        '[Part 2 of 3]\n\nsecond',
+        '[Part 3 of 3: Three]\n\nthird',
+    ]);
+    assert.deepStrictEqual(requests[2].part, { index: 2, total: 3, heading: 'Three' });
+    assert.deepStrictEqual(result.capture, { totalLength: 1000, storedLength: 16, totalParts: 3, storedParts: 3 });
+});
+
+test('stops when the backend stores a part as a new document', async () => {
+    warnings.length = 0;
+    const { requests, result } = await store(threeParts, number => ({ contentId: `c${number}` }));
+
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(result.contentId, 'c1');
+    assert.deepStrictEqual(result.capture, { totalLength: 1000, storedLength: 5, totalParts: 3, storedParts: 1 });
+    assert.match(warnings[0], /stored 1 of 3 parts/);
+});
+
+test('keeps what was stored when a later part fails, but not when the first does', async () => {
+    const { result } = await store(threeParts, (number) => {
+        if (number === 3) throw new Error('Network error');
+        return { contentId: 'c1' };
+    });
+    assert.deepStrictEqual(result, {
+        contentId: 'c1',
+        capture: { totalLength: 1000, storedLength: 11, totalParts: 3, storedParts: 2 },
+    });
+
+    await assert.rejects(store(threeParts, () => {
+        throw new Error('Network error');
+    }), /Network error/);
+});
@@ -0,0 +1,39 @@
+/**
+ * Little Elf - Redaction regression tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// content/redaction.js is a classic script; load it into a context of its own
+const context = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../content/redaction.js'), 'utf8'), context);
+vm.runInContext('this.redactText = redactText; this.normalizeRedactionSettings = normalizeRedactionSettings; this.createRedactionMap = createRedactionMap;', context);
+
+const redact = text => context.redactText(text, context.normalizeRedactionSettings(), context.createRedactionMap());
+
+test('leaves ordinary page content alone', () => {
+    [
+        '[COVID-19 pandemic](/wiki/COVID-19_pandemic_in_the_United_Kingdom)',
+        'See https://en.wikipedia.org/wiki/COVID-19_pandemic_in_the_United_Kingdom for more',
+        'Released in 2019 2020 2021 and 2022',
+        'Available in sizes 1200 3400 5600 px',
+        'Version 10.0.0.1',
+        'Upgrade to v2.10.0.1 or 1.2.3.4.5',
+        'Call getElementById2ForTheDocumentObjectModel() first',
+    ].forEach(text => assert.strictEqual(redact(text), text));
+});
+
+test('still redacts personal data and secrets', () => {
+    assert.strictEqual(redact('Call +44 20 7946 0958 or (555) 123 4567'), 'Call [PHONE_1] or [PHONE_2]');
+    assert.strictEqual(redact('Call 555-123-4567'), 'Call [PHONE_1]');
+    assert.strictEqual(redact('Server at 192.168.1.20 is down'), 'Server at [IP_1] is down');
+    assert.strictEqual(redact('Use sk_live_abcdefghijklmnop1234'), 'Use [SECRET_1]');
+    assert.strictEqual(redact('api_key: Secretvaluewithnumbers12345678901'), 'api_key: [SECRET_1]');
+    assert.strictEqual(redact('Token aB3dE5fG7hJ9kL1mN3pQ5rS7tU9vW1xY here'), 'Token [SECRET_1] here');
+    assert.strictEqual(redact('x Wn8kQ2zX9vLp4RtY7bMc3JhF6dGs1aKe'), 'x [SECRET_1]');
+});
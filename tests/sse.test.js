@@ -0,0 +1,77 @@
+/**
+ * Little Elf - Server-sent events parser tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// background/sse.js is an ES module; without its export it runs as a classic script
+const source = fs.readFileSync(path.join(__dirname, '../background/sse.js'), 'utf8').replace(/^export /gm, '');
+const context = vm.createContext({});
+vm.runInContext(source, context);
+const createSseParser = vm.runInContext('createSseParser', context);
+
+/**
+ * Feed chunks to a new parser
+ * @returns {{events: Array<Object>, retries: Array<number>, parser: Object}} What it reported
+ */
+function parse(chunks, { end = false } = {}) {
+    const events = [];
+    const retries = [];
+    const parser = createSseParser(event => events.push({ ...event }), delay => retries.push(delay));
+    chunks.forEach(chunk => parser.push(chunk));
+    if (end) parser.end();
+    return { events, retries, parser };
+}
+
+test('splits lines on CRLF, LF and CR, even across chunks', () => {
+    const expected = [
+        { type: 'message', data: 'one', id: '' },
+        { type: 'message', data: 'two', id: '' },
+        { type: 'message', data: 'three', id: '' },
+    ];
+
+    assert.deepStrictEqual(parse(['data: one\r\n\r\ndata: two\n\ndata: three\r\r']).events, expected);
+    // A CRLF split between chunks ends one line, not two
+    assert.deepStrictEqual(parse(['data: one\r', '\n\r', '\ndata: two\n', '\ndata: th', 'ree\r', '\r']).events, expected);
+});
+
+test('joins data lines and reads event types, ignoring comments and unknown fields', () => {
+    const { events } = parse([': keep-alive\n', 'event: update\ndata: a\nfoo: bar\ndata\ndata:b\n\n']);
+    assert.deepStrictEqual(events, [{ type: 'update', data: 'a\n\nb', id: '' }]);
+});
+
+test('sets the last event ID once its event is complete', () => {
+    const { events, parser } = parse(['id: 1\ndata: a\n\nid: 2\n']);
+    assert.deepStrictEqual(events, [{ type: 'message', data: 'a', id: '1' }]);
+    assert.strictEqual(parser.lastEventId(), '1');
+
+    // An event without data still moves the ID on, and later events keep it
+    parser.push('\ndata: b\n\n');
+    assert.strictEqual(parser.lastEventId(), '2');
+    assert.deepStrictEqual(events[1], { type: 'message', data: 'b', id: '2' });
+
+    // IDs containing NUL are ignored; an empty id field resets it
+    parser.push('id: 3\0\ndata: c\n\nid\ndata: d\n\n');
+    assert.deepStrictEqual(events.slice(2).map(event => event.id), ['2', '']);
+});
+
+test('reports numeric retry delays only', () => {
+    const { retries, events } = parse(['retry: 2500\nretry: soon\nretry: 1.5\n\n']);
+    assert.deepStrictEqual(retries, [2500]);
+    assert.deepStrictEqual(events, []);
+});
+
+test('discards a partial event at the end of the stream', () => {
+    const { events, parser } = parse(['id: 1\ndata: done\n\nid: 2\ndata: cut off'], { end: true });
+    assert.deepStrictEqual(events.map(event => event.data), ['done']);
+    assert.strictEqual(parser.lastEventId(), '1');
+
+    // A stream resumed on the same parser doesn't inherit the discarded event's fields
+    parser.push('data: resumed\n\n');
+    assert.deepStrictEqual(events[1], { type: 'message', data: 'resumed', id: '1' });
+});